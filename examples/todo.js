@@ -231,7 +231,7 @@ app.get('/', async (request, reply) => {
 <body>
   <h1>todos</h1>
   
-  <div class="todo-app" data-signals='{"newTodoText": "", "filter": "all", "error": ""}'>
+  <div class="todo-app" data-signals='{"newTodoText": "", "filter": "all", "errors": {"newTodoText": ""}}'>
     
     <!-- New Todo Form -->
     <div class="new-todo-form">
@@ -247,7 +247,7 @@ app.get('/', async (request, reply) => {
         data-on:click="${PostSSE('/api/todos')}"
       >Add</button>
     </div>
-    <div id="error-msg" class="error-msg" data-class-show="\$error" data-text="\$error"></div>
+    <div id="error-msg" class="error-msg" data-class-show="\$errors.newTodoText" data-text="\$errors.newTodoText"></div>
 
     <!-- Todo List -->
     <ul id="todo-list" class="todo-list">
@@ -272,7 +272,7 @@ app.post('/api/todos', async (request, reply) => {
 
   if (!text) {
     return reply.datastar((sse) => {
-      sse.patchSignals({ error: 'Please enter a todo!' });
+      sse.patchValidationErrors({ newTodoText: 'Please enter a todo!' });
     });
   }
 
@@ -288,7 +288,8 @@ app.post('/api/todos', async (request, reply) => {
 
   await reply.datastar((sse) => {
     // Clear the input and error
-    sse.patchSignals({ newTodoText: '', error: '' });
+    sse.patchSignals({ newTodoText: '' });
+    sse.clearValidationErrors(['newTodoText']);
 
     // Remove empty state if it exists and add the new todo
     sse.patchElements(renderTodoItem(todo), {
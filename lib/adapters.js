@@ -0,0 +1,191 @@
+/**
+ * Pub/sub adapters for the Datastar broadcast hub
+ *
+ * An adapter carries hub publishes between processes so that a patch
+ * published in one Fastify worker reaches SSE clients connected to another.
+ * Any object implementing the {@link HubAdapter} interface can be passed as
+ * the plugin's `hubAdapter` option — e.g. one backed by Redis pub/sub or
+ * Postgres LISTEN/NOTIFY.
+ *
+ * @module adapters
+ */
+
+'use strict';
+
+/**
+ * Message exchanged between hubs. Must survive JSON serialization.
+ * @typedef {Object} HubMessage
+ * @property {string} origin - Id of the publishing hub (hubs ignore their own messages)
+ * @property {string} topic - Topic name
+ * @property {import('./hub').HubEvent[]} events - Events to send
+ * @property {Object} [filter] - Object filter matched against connection meta
+ */
+
+/**
+ * Interface every hub adapter implements
+ * @typedef {Object} HubAdapter
+ * @property {(message: HubMessage) => (void|Promise<void>)} publish - Send a message to every subscribed hub (including the publisher is fine)
+ * @property {(handler: (message: HubMessage) => void) => (void|Promise<void>)} subscribe - Register the hub's handler for incoming messages
+ * @property {(handler: (message: HubMessage) => void) => (void|Promise<void>)} [unsubscribe] - Remove a handler registered with subscribe (for adapters shared between hubs)
+ * @property {() => (void|Promise<void>)} [close] - Release resources (listeners, connections)
+ */
+
+/** Default IPC channel name used by the cluster adapter */
+const DEFAULT_CHANNEL = 'datastar:hub';
+
+/**
+ * In-memory adapter
+ *
+ * Delivers messages to every hub subscribed to the same adapter instance.
+ * Share one instance between several hubs to simulate multiple processes,
+ * which makes it a local stand-in when testing code written against another
+ * adapter. Messages are JSON round-tripped, as they would be over a real
+ * transport.
+ */
+class MemoryAdapter {
+  constructor() {
+    /** @type {Set<Function>} */
+    this._handlers = new Set();
+  }
+
+  /**
+   * Deliver a message to every subscribed handler
+   * @param {HubMessage} message - Message to deliver
+   */
+  publish(message) {
+    const payload = JSON.stringify(message);
+    for (const handler of this._handlers) {
+      handler(JSON.parse(payload));
+    }
+  }
+
+  /**
+   * Register a handler for incoming messages
+   * @param {(message: HubMessage) => void} handler - Message handler
+   */
+  subscribe(handler) {
+    this._handlers.add(handler);
+  }
+
+  /**
+   * Remove a handler registered with subscribe
+   * @param {(message: HubMessage) => void} handler - Message handler
+   */
+  unsubscribe(handler) {
+    this._handlers.delete(handler);
+  }
+}
+
+/**
+ * Node.js cluster (IPC) adapter
+ *
+ * Workers send publishes to the primary process over IPC; the primary relays
+ * them to every worker. Call {@link ClusterAdapter.setupPrimary} once in the
+ * primary process, and pass a `ClusterAdapter` to the plugin in each worker.
+ *
+ * @example
+ * const cluster = require('node:cluster');
+ * const { ClusterAdapter } = require('@johntom/datastar-fastify');
+ *
+ * if (cluster.isPrimary) {
+ *   ClusterAdapter.setupPrimary();
+ *   for (let i = 0; i < 4; i++) cluster.fork();
+ * } else {
+ *   app.register(datastar, { hubAdapter: new ClusterAdapter() });
+ * }
+ */
+class ClusterAdapter {
+  /**
+   * @param {Object} [options={}] - Adapter options
+   * @param {string} [options.channel='datastar:hub'] - IPC channel name
+   * @param {NodeJS.Process} [options.process=process] - Process used for IPC (override in tests)
+   */
+  constructor(options = {}) {
+    this._channel = options.channel || DEFAULT_CHANNEL;
+    this._process = options.process || process;
+    /** @type {Map<Function, Function>} Process 'message' listener of each handler */
+    this._listeners = new Map();
+  }
+
+  /**
+   * Send a message to the primary for relaying to every worker
+   * @param {HubMessage} message - Message to send
+   */
+  publish(message) {
+    if (typeof this._process.send !== 'function') {
+      throw new Error('ClusterAdapter requires an IPC channel (run it inside a cluster worker)');
+    }
+    this._process.send({ channel: this._channel, message });
+  }
+
+  /**
+   * Register a handler for messages relayed by the primary. Each handler
+   * gets its own process listener; registering it again is a no-op.
+   * @param {(message: HubMessage) => void} handler - Message handler
+   */
+  subscribe(handler) {
+    if (this._listeners.has(handler)) {
+      return;
+    }
+    const listener = (data) => {
+      if (data && data.channel === this._channel) {
+        handler(data.message);
+      }
+    };
+    this._listeners.set(handler, listener);
+    this._process.on('message', listener);
+  }
+
+  /**
+   * Remove a handler registered with subscribe
+   * @param {(message: HubMessage) => void} handler - Message handler
+   */
+  unsubscribe(handler) {
+    const listener = this._listeners.get(handler);
+    if (listener) {
+      this._process.removeListener('message', listener);
+      this._listeners.delete(handler);
+    }
+  }
+
+  /**
+   * Stop listening for relayed messages, for every handler
+   */
+  close() {
+    for (const handler of [...this._listeners.keys()]) {
+      this.unsubscribe(handler);
+    }
+  }
+
+  /**
+   * Relay hub messages between workers. Call once in the primary process.
+   * @param {Object} [options={}] - Relay options
+   * @param {string} [options.channel='datastar:hub'] - IPC channel name
+   * @param {import('cluster').Cluster} [options.cluster] - Cluster module (defaults to node:cluster)
+   * @returns {Function} Function that removes the relay
+   */
+  static setupPrimary(options = {}) {
+    const channel = options.channel || DEFAULT_CHANNEL;
+    const cluster = options.cluster || require('cluster');
+
+    const relay = (worker, data) => {
+      if (!data || data.channel !== channel) {
+        return;
+      }
+      for (const id of Object.keys(cluster.workers)) {
+        const target = cluster.workers[id];
+        if (target && target.isConnected()) {
+          target.send(data);
+        }
+      }
+    };
+
+    cluster.on('message', relay);
+    return () => cluster.removeListener('message', relay);
+  }
+}
+
+module.exports = {
+  MemoryAdapter,
+  ClusterAdapter,
+};
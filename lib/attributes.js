@@ -0,0 +1,469 @@
+/**
+ * Builders for Datastar data-* attributes
+ *
+ * Each builder returns a complete attribute (`name="value"`) with the value
+ * HTML-escaped and the modifiers spelled the way Datastar expects, e.g.
+ * `dataOn('input', expr, { debounce: 500 })` produces
+ * `data-on:input__debounce.500ms="..."`. The result is safe HTML, so it can
+ * be interpolated into `html` templates (or plain template strings) as-is.
+ *
+ * Names that end up in the attribute name (the key of `dataOn`, `dataAttr`,
+ * `dataClass`, `dataStyle` and `dataComputed`) are kebab-cased, because HTML
+ * lowercases attribute names; Datastar camelCases them back where they name
+ * signals, and the `case` modifier picks another casing. Names in the object
+ * form are placed in the expression as given. Attribute names containing
+ * anything but word characters, `:`, `.` and `-` are rejected.
+ *
+ * Durations may be numbers (milliseconds) or strings such as `'1s'`.
+ * Timing modifiers (debounce, throttle, interval duration) also accept an
+ * object with `wait` and the `leading`/`trailing` flags.
+ *
+ * @module attributes
+ *
+ * @example
+ * const { html, dataOn, dataBind, PostSSE } = require('@johntom/datastar-fastify');
+ *
+ * html`<input ${dataBind('search')} ${dataOn('input', PostSSE('/search'), { debounce: 300 })}>`
+ * // <input data-bind="search" data-on:input__debounce.300ms="@post(&#039;/search&#039;)">
+ */
+
+'use strict';
+
+const { SafeHtml, escapeHtml } = require('./helpers');
+
+/** Characters allowed in a built attribute name */
+const ATTRIBUTE_NAME = /^[\w:.-]+$/;
+
+/**
+ * @typedef {number|string} Duration
+ * Milliseconds, or a string with a unit (e.g. '500ms', '1s')
+ */
+
+/**
+ * @typedef {Object} TimingOptions
+ * @property {Duration} wait - Wait time
+ * @property {boolean} [leading] - Run on the leading edge
+ * @property {boolean} [trailing] - Run on the trailing edge
+ */
+
+/**
+ * @typedef {Object} EventModifiers
+ * @property {boolean} [once] - Only trigger once
+ * @property {boolean} [passive] - Register a passive listener
+ * @property {boolean} [capture] - Use a capture listener
+ * @property {string} [case] - Event name casing ('camel', 'kebab', 'snake', 'pascal')
+ * @property {Duration} [delay] - Delay the expression
+ * @property {Duration|TimingOptions} [debounce] - Debounce the expression
+ * @property {Duration|TimingOptions} [throttle] - Throttle the expression
+ * @property {boolean} [viewTransition] - Run the expression in a view transition
+ * @property {boolean} [window] - Listen on the window
+ * @property {boolean} [outside] - Trigger when the event happens outside the element
+ * @property {boolean} [prevent] - Call preventDefault()
+ * @property {boolean} [stop] - Call stopPropagation()
+ */
+
+/**
+ * Modifier names accepted by each attribute. Option names are camelCase;
+ * Datastar spells the modifier in lowercase.
+ * @private
+ */
+const MODIFIERS = {
+  on: ['once', 'passive', 'capture', 'case', 'delay', 'debounce', 'throttle', 'viewTransition', 'window', 'outside', 'prevent', 'stop'],
+  onIntersect: ['once', 'exit', 'half', 'full', 'delay', 'debounce', 'throttle', 'viewTransition'],
+  onInterval: ['duration', 'viewTransition'],
+  onSignalPatch: ['delay', 'debounce', 'throttle'],
+  init: ['delay', 'viewTransition'],
+  computed: ['case'],
+  ignore: ['self'],
+  jsonSignals: ['terse'],
+  persist: ['session'],
+  signals: ['ifMissing', 'case'],
+};
+
+/**
+ * Default edges for timing modifiers; tags are only emitted when an option
+ * differs from the default
+ * @private
+ */
+const TIMING_DEFAULTS = {
+  debounce: { leading: false, trailing: true },
+  throttle: { leading: true, trailing: false },
+  duration: { leading: false, trailing: true },
+};
+
+/**
+ * Format a duration as a modifier tag
+ * @param {Duration} value - Duration
+ * @returns {string}
+ * @private
+ */
+function formatDuration(value) {
+  return typeof value === 'number' ? `${value}ms` : String(value);
+}
+
+/**
+ * Format one modifier as `__name[.tag...]`
+ * @param {string} option - Option name
+ * @param {*} value - Option value
+ * @returns {string}
+ * @private
+ */
+function formatModifier(option, value) {
+  const name = `__${option.toLowerCase()}`;
+
+  if (value === true) {
+    return name;
+  }
+  if (option === 'case') {
+    return `${name}.${value}`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const defaults = TIMING_DEFAULTS[option] || {};
+    let tags = `.${formatDuration(value.wait)}`;
+    for (const edge of ['leading', 'trailing']) {
+      if (value[edge] !== undefined && Boolean(value[edge]) !== defaults[edge]) {
+        tags += value[edge] ? `.${edge}` : `.no${edge}`;
+      }
+    }
+    return name + tags;
+  }
+
+  return `${name}.${formatDuration(value)}`;
+}
+
+/**
+ * Format the modifiers for an attribute, rejecting ones it doesn't support
+ * @param {string} plugin - Attribute plugin (key of MODIFIERS)
+ * @param {Object} [options={}] - Modifier options
+ * @returns {string}
+ * @private
+ */
+function formatModifiers(plugin, options = {}) {
+  const allowed = MODIFIERS[plugin] || [];
+  let modifiers = '';
+
+  for (const [option, value] of Object.entries(options)) {
+    if (!allowed.includes(option)) {
+      throw new Error(`Unknown modifier "${option}" for data-${toKebab(plugin)}`);
+    }
+    if (value === undefined || value === null || value === false) {
+      continue;
+    }
+    modifiers += formatModifier(option, value);
+  }
+
+  return modifiers;
+}
+
+/**
+ * Convert a camelCase name to the kebab-case Datastar expects in attribute
+ * keys (HTML lowercases attribute names; Datastar camelCases keys back)
+ * @param {string} name - Name
+ * @returns {string}
+ * @private
+ */
+function toKebab(name) {
+  return name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+/**
+ * Build an attribute
+ * @param {string} name - Attribute name including any key (e.g. 'data-on:click')
+ * @param {string} [value] - Attribute value; omitted when undefined
+ * @returns {SafeHtml}
+ * @throws {Error} When the name contains characters that could end the attribute
+ * @private
+ */
+function attribute(name, value) {
+  if (!ATTRIBUTE_NAME.test(name)) {
+    throw new Error(`Invalid attribute name ${JSON.stringify(name)}`);
+  }
+  if (value === undefined) {
+    return new SafeHtml(name);
+  }
+  return new SafeHtml(`${name}="${escapeHtml(value)}"`);
+}
+
+/**
+ * Build an expression object literal from a map of keys to expressions
+ * @param {Object.<string, string>} map - Keys and expressions
+ * @returns {string}
+ * @private
+ */
+function objectExpression(map) {
+  const entries = Object.entries(map).map(([key, expr]) => `${JSON.stringify(key)}: ${expr}`);
+  return `{${entries.join(', ')}}`;
+}
+
+/**
+ * Build a keyed attribute (`data-x:key="expr"`, with the key kebab-cased)
+ * or, when given a map, the object form (`data-x="{key: expr}"`)
+ * @param {string} plugin - Attribute plugin name
+ * @param {string|Object.<string, string>} keyOrMap - Key, or map of keys to expressions
+ * @param {string} [expression] - Expression when a key is given
+ * @returns {SafeHtml}
+ * @private
+ */
+function keyedAttribute(plugin, keyOrMap, expression) {
+  if (keyOrMap !== null && typeof keyOrMap === 'object') {
+    return attribute(`data-${plugin}`, objectExpression(keyOrMap));
+  }
+  return attribute(`data-${plugin}:${toKebab(String(keyOrMap))}`, expression);
+}
+
+/**
+ * data-attr: set HTML attributes from expressions
+ * @param {string|Object.<string, string>} nameOrMap - Attribute name, or map of names to expressions
+ * @param {string} [expression] - Expression when a name is given
+ * @returns {SafeHtml}
+ *
+ * @example
+ * dataAttr('disabled', '$saving')      // data-attr:disabled="$saving"
+ * dataAttr('ariaLabel', '$label')      // data-attr:aria-label="$label"
+ * dataAttr({ title: '$tooltip' })      // data-attr="{&quot;title&quot;: $tooltip}"
+ */
+function dataAttr(nameOrMap, expression) {
+  return keyedAttribute('attr', nameOrMap, expression);
+}
+
+/**
+ * data-bind: two-way bind an element's value to a signal
+ * @param {string} signal - Signal path (e.g. 'form.email')
+ * @returns {SafeHtml}
+ */
+function dataBind(signal) {
+  return attribute('data-bind', signal);
+}
+
+/**
+ * data-class: toggle classes from expressions
+ * @param {string|Object.<string, string>} nameOrMap - Class name, or map of class names to expressions
+ * @param {string} [expression] - Expression when a class name is given
+ * @returns {SafeHtml}
+ *
+ * @example
+ * dataClass('completed', '$todo.done')
+ * dataClass({ hidden: '!$open', 'font-bold': '$selected' })
+ */
+function dataClass(nameOrMap, expression) {
+  return keyedAttribute('class', nameOrMap, expression);
+}
+
+/**
+ * data-computed: define a read-only signal computed from an expression
+ * @param {string} signal - Signal name (camelCase names are kebab-cased for the attribute)
+ * @param {string} expression - Expression
+ * @param {{ case?: string }} [options] - Modifiers
+ * @returns {SafeHtml}
+ */
+function dataComputed(signal, expression, options) {
+  return attribute(`data-computed:${toKebab(signal)}${formatModifiers('computed', options)}`, expression);
+}
+
+/**
+ * data-effect: run an expression whenever the signals it reads change
+ * @param {string} expression - Expression
+ * @returns {SafeHtml}
+ */
+function dataEffect(expression) {
+  return attribute('data-effect', expression);
+}
+
+/**
+ * data-ignore: tell Datastar to skip an element and its descendants
+ * @param {{ self?: boolean }} [options] - `self` ignores only the element itself
+ * @returns {SafeHtml}
+ */
+function dataIgnore(options) {
+  return attribute(`data-ignore${formatModifiers('ignore', options)}`);
+}
+
+/**
+ * data-ignore-morph: leave an element untouched when patching
+ * @returns {SafeHtml}
+ */
+function dataIgnoreMorph() {
+  return attribute('data-ignore-morph');
+}
+
+/**
+ * data-indicator: set a signal to true while a request is in flight
+ * @param {string} signal - Signal name
+ * @returns {SafeHtml}
+ */
+function dataIndicator(signal) {
+  return attribute('data-indicator', signal);
+}
+
+/**
+ * data-init: run an expression when the element is loaded
+ * @param {string} expression - Expression
+ * @param {{ delay?: Duration, viewTransition?: boolean }} [options] - Modifiers
+ * @returns {SafeHtml}
+ */
+function dataInit(expression, options) {
+  return attribute(`data-init${formatModifiers('init', options)}`, expression);
+}
+
+/**
+ * data-json-signals: render the signals as JSON text (handy for debugging)
+ * @param {string} [filter] - Filter expression (e.g. "{include: /^form/}")
+ * @param {{ terse?: boolean }} [options] - Modifiers
+ * @returns {SafeHtml}
+ */
+function dataJsonSignals(filter, options) {
+  return attribute(`data-json-signals${formatModifiers('jsonSignals', options)}`, filter);
+}
+
+/**
+ * data-on: run an expression when an event fires
+ * @param {string} event - Event name (e.g. 'click', 'keydown', a custom event;
+ *   camelCase names are kebab-cased, use `case: 'camel'` to listen for them)
+ * @param {string} expression - Expression, e.g. from PostSSE()
+ * @param {EventModifiers} [options] - Modifiers
+ * @returns {SafeHtml}
+ *
+ * @example
+ * dataOn('click', PostSSE('/save'), { once: true, prevent: true })
+ * // data-on:click__once__prevent="@post(&#039;/save&#039;)"
+ * dataOn('input', GetSSE('/search'), { debounce: { wait: 300, leading: true } })
+ * // data-on:input__debounce.300ms.leading="..."
+ */
+function dataOn(event, expression, options) {
+  return attribute(`data-on:${toKebab(event)}${formatModifiers('on', options)}`, expression);
+}
+
+/**
+ * data-on-intersect: run an expression when the element enters the viewport
+ * @param {string} expression - Expression
+ * @param {{ once?: boolean, exit?: boolean, half?: boolean, full?: boolean, delay?: Duration, debounce?: Duration|TimingOptions, throttle?: Duration|TimingOptions, viewTransition?: boolean }} [options] - Modifiers
+ * @returns {SafeHtml}
+ */
+function dataOnIntersect(expression, options) {
+  return attribute(`data-on-intersect${formatModifiers('onIntersect', options)}`, expression);
+}
+
+/**
+ * data-on-interval: run an expression on an interval (default 1s)
+ * @param {string} expression - Expression
+ * @param {{ duration?: Duration|TimingOptions, viewTransition?: boolean }} [options] - Modifiers
+ * @returns {SafeHtml}
+ */
+function dataOnInterval(expression, options) {
+  return attribute(`data-on-interval${formatModifiers('onInterval', options)}`, expression);
+}
+
+/**
+ * data-on-signal-patch: run an expression whenever signals are patched
+ * @param {string} expression - Expression (`patch` holds the patch)
+ * @param {{ delay?: Duration, debounce?: Duration|TimingOptions, throttle?: Duration|TimingOptions }} [options] - Modifiers
+ * @returns {SafeHtml}
+ */
+function dataOnSignalPatch(expression, options) {
+  return attribute(`data-on-signal-patch${formatModifiers('onSignalPatch', options)}`, expression);
+}
+
+/**
+ * data-on-signal-patch-filter: limit which signals trigger data-on-signal-patch
+ * @param {string} filter - Filter expression (e.g. "{include: /^counter$/}")
+ * @returns {SafeHtml}
+ */
+function dataOnSignalPatchFilter(filter) {
+  return attribute('data-on-signal-patch-filter', filter);
+}
+
+/**
+ * data-persist (Datastar Pro): persist signals in local or session storage
+ * @param {string} [filter] - Filter expression (e.g. "{include: /^prefs/}")
+ * @param {{ session?: boolean }} [options] - `session` uses sessionStorage
+ * @returns {SafeHtml}
+ */
+function dataPersist(filter, options) {
+  return attribute(`data-persist${formatModifiers('persist', options)}`, filter);
+}
+
+/**
+ * data-preserve-attr: keep attributes' client-side values when patching
+ * @param {string|string[]} names - Attribute name(s)
+ * @returns {SafeHtml}
+ */
+function dataPreserveAttr(names) {
+  return attribute('data-preserve-attr', [].concat(names).join(' '));
+}
+
+/**
+ * data-ref: store a reference to the element in a signal
+ * @param {string} signal - Signal name
+ * @returns {SafeHtml}
+ */
+function dataRef(signal) {
+  return attribute('data-ref', signal);
+}
+
+/**
+ * data-show: show or hide the element from an expression
+ * @param {string} expression - Expression
+ * @returns {SafeHtml}
+ */
+function dataShow(expression) {
+  return attribute('data-show', expression);
+}
+
+/**
+ * data-signals: patch signals into the client from an object
+ * @param {Object} signals - Signals to set
+ * @param {{ ifMissing?: boolean, case?: string }} [options] - Modifiers
+ * @returns {SafeHtml}
+ *
+ * @example
+ * dataSignals({ count: 0 }, { ifMissing: true })
+ * // data-signals__ifmissing="{&quot;count&quot;:0}"
+ */
+function dataSignals(signals, options) {
+  return attribute(`data-signals${formatModifiers('signals', options)}`, JSON.stringify(signals));
+}
+
+/**
+ * data-style: set inline styles from expressions
+ * @param {string|Object.<string, string>} propertyOrMap - CSS property, or map of properties to expressions
+ * @param {string} [expression] - Expression when a property is given
+ * @returns {SafeHtml}
+ */
+function dataStyle(propertyOrMap, expression) {
+  return keyedAttribute('style', propertyOrMap, expression);
+}
+
+/**
+ * data-text: set the element's text content from an expression
+ * @param {string} expression - Expression
+ * @returns {SafeHtml}
+ */
+function dataText(expression) {
+  return attribute('data-text', expression);
+}
+
+module.exports = {
+  dataAttr,
+  dataBind,
+  dataClass,
+  dataComputed,
+  dataEffect,
+  dataIgnore,
+  dataIgnoreMorph,
+  dataIndicator,
+  dataInit,
+  dataJsonSignals,
+  dataOn,
+  dataOnIntersect,
+  dataOnInterval,
+  dataOnSignalPatch,
+  dataOnSignalPatchFilter,
+  dataPersist,
+  dataPreserveAttr,
+  dataRef,
+  dataShow,
+  dataSignals,
+  dataStyle,
+  dataText,
+};
@@ -0,0 +1,181 @@
+/**
+ * SSE compression for Datastar
+ *
+ * Negotiates a content encoding from the request's Accept-Encoding header and
+ * creates a zlib compressor that the ServerSentEventGenerator writes through.
+ * The generator flushes the compressor after every event so that compressed
+ * streams keep per-event latency (mirrors the Go SDK's sse-compression.go).
+ *
+ * @module compression
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const { ContentEncoding, CompressionStrategy } = require('./constants');
+
+/**
+ * @typedef {Object} CompressionOptions
+ * @property {string[]} [encodings] - Encodings in server preference order (default: zstd, br, gzip, deflate)
+ * @property {string} [strategy='client'] - Negotiation strategy ('client', 'server' or 'forced')
+ * @property {number} [level] - Compression level/quality passed to the encoder
+ */
+
+/**
+ * Encoders keyed by content encoding. Each entry creates the compressor and
+ * knows which flush kind emits buffered output without ending the stream.
+ * @private
+ */
+const encoders = {
+  [ContentEncoding.Gzip]: {
+    create: (level) => zlib.createGzip(level !== undefined ? { level } : {}),
+    flushKind: zlib.constants.Z_SYNC_FLUSH,
+  },
+  [ContentEncoding.Deflate]: {
+    create: (level) => zlib.createDeflate(level !== undefined ? { level } : {}),
+    flushKind: zlib.constants.Z_SYNC_FLUSH,
+  },
+  [ContentEncoding.Brotli]: {
+    create: (level) => zlib.createBrotliCompress(level !== undefined
+      ? { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } }
+      : {}),
+    flushKind: zlib.constants.BROTLI_OPERATION_FLUSH,
+  },
+};
+
+// Zstd landed in zlib in Node.js 22.15 / 23.8
+if (typeof zlib.createZstdCompress === 'function') {
+  encoders[ContentEncoding.Zstd] = {
+    create: (level) => zlib.createZstdCompress(level !== undefined
+      ? { params: { [zlib.constants.ZSTD_c_compressionLevel]: level } }
+      : {}),
+    flushKind: zlib.constants.ZSTD_e_flush,
+  };
+}
+
+/** Default server preference order */
+const DEFAULT_ENCODINGS = [
+  ContentEncoding.Zstd,
+  ContentEncoding.Brotli,
+  ContentEncoding.Gzip,
+  ContentEncoding.Deflate,
+];
+
+/**
+ * Normalize the `compression` option accepted by the plugin and stream methods
+ * @param {boolean|CompressionOptions|undefined} option - Raw option value
+ * @returns {CompressionOptions|null} Normalized options, or null when disabled
+ * @private
+ */
+function normalizeCompressionOptions(option) {
+  if (!option) {
+    return null;
+  }
+
+  const opts = option === true ? {} : option;
+  const encodings = (opts.encodings || DEFAULT_ENCODINGS)
+    .map((encoding) => encoding.toLowerCase())
+    .filter((encoding) => encoders[encoding]);
+
+  if (encodings.length === 0) {
+    return null;
+  }
+
+  return {
+    encodings,
+    strategy: opts.strategy || CompressionStrategy.ClientPriority,
+    level: opts.level,
+  };
+}
+
+/**
+ * Parse an Accept-Encoding header into encodings with quality values
+ * @param {string} header - Accept-Encoding header value
+ * @returns {Array<{encoding: string, q: number, index: number}>}
+ * @private
+ */
+function parseAcceptEncoding(header) {
+  const accepted = [];
+
+  header.split(',').forEach((part, index) => {
+    const [name, ...params] = part.trim().split(';');
+    if (!name) {
+      return;
+    }
+
+    let q = 1;
+    for (const param of params) {
+      const [key, value] = param.trim().split('=');
+      if (key === 'q') {
+        const parsed = parseFloat(value);
+        q = Number.isNaN(parsed) ? 0 : parsed;
+      }
+    }
+
+    accepted.push({ encoding: name.trim().toLowerCase(), q, index });
+  });
+
+  return accepted;
+}
+
+/**
+ * Pick the content encoding to use for a response
+ * @param {string|undefined} acceptEncoding - The request's Accept-Encoding header
+ * @param {CompressionOptions} options - Normalized compression options
+ * @returns {string|null} The chosen encoding, or null to send uncompressed
+ */
+function negotiateEncoding(acceptEncoding, options) {
+  const { encodings, strategy } = options;
+
+  if (strategy === CompressionStrategy.Forced) {
+    return encodings[0];
+  }
+
+  if (!acceptEncoding) {
+    return null;
+  }
+
+  const accepted = parseAcceptEncoding(acceptEncoding);
+  const wildcard = accepted.find((entry) => entry.encoding === '*');
+  const qualityOf = (encoding) => {
+    const entry = accepted.find((e) => e.encoding === encoding);
+    if (entry) {
+      return entry.q;
+    }
+    return wildcard ? wildcard.q : 0;
+  };
+
+  const candidates = encodings.filter((encoding) => qualityOf(encoding) > 0);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  if (strategy === CompressionStrategy.ServerPriority) {
+    return candidates[0];
+  }
+
+  // Client priority: highest q wins, ties go to the server's ordering
+  return candidates.reduce((best, encoding) =>
+    qualityOf(encoding) > qualityOf(best) ? encoding : best
+  );
+}
+
+/**
+ * Create a compressor for the given encoding
+ * @param {string} encoding - A negotiated content encoding
+ * @param {CompressionOptions} options - Normalized compression options
+ * @returns {{ stream: import('stream').Transform, flushKind: number }}
+ */
+function createCompressor(encoding, options) {
+  const encoder = encoders[encoding];
+  return {
+    stream: encoder.create(options.level),
+    flushKind: encoder.flushKind,
+  };
+}
+
+module.exports = {
+  normalizeCompressionOptions,
+  negotiateEncoding,
+  createCompressor,
+};
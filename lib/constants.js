@@ -97,6 +97,112 @@ const Defaults = {
   PatchMode: PatchMode.Outer,
   /** Default element namespace */
   Namespace: Namespace.HTML,
+  /** Default number of buffered bytes before the backpressure policy applies */
+  HighWaterMark: 1024 * 1024,
+  /** Default hard limit of held-back bytes, past which a slow client is disconnected whatever the policy */
+  MaxBufferedBytes: 4 * 1024 * 1024,
+  /** Default maximum size of a signals payload in bytes (matches Fastify's bodyLimit) */
+  SignalsMaxBytes: 1024 * 1024,
+  /** Default maximum nesting depth of signals */
+  SignalsMaxDepth: 32,
+  /** Default maximum number of object keys and array items across all signals */
+  SignalsMaxKeys: 10000,
+  /** Default maximum size of each uploaded file in bytes */
+  FormFileSize: 10 * 1024 * 1024,
+  /** Default maximum number of uploaded files per form */
+  FormFiles: 10,
+  /** Default maximum number of non-file fields per form */
+  FormFields: 1000,
+  /** Default signal that reply.datastar callback errors are patched into */
+  ClientErrorSignal: 'datastarError',
+  /** Default time in ms before an error toast removes itself */
+  ClientErrorToastDuration: 5000,
+  /** Default time in ms ended streams get to finish before shutdown destroys them */
+  ShutdownGracePeriod: 5000,
+  /** Default prefix of metric names */
+  MetricsPrefix: 'datastar_',
+  /** Default path of the metrics route */
+  MetricsRoute: '/metrics',
+  /** Default path of the inspector page */
+  InspectorPath: '/_datastar/inspector',
+  /** Default number of events the inspector keeps */
+  InspectorHistorySize: 200,
+};
+
+/**
+ * Content encodings supported for SSE compression
+ * Zstd is only available on Node.js versions whose zlib exposes it (22.15+).
+ * @enum {string}
+ */
+const ContentEncoding = {
+  /** Zstandard */
+  Zstd: 'zstd',
+  /** Brotli */
+  Brotli: 'br',
+  /** Gzip */
+  Gzip: 'gzip',
+  /** Deflate */
+  Deflate: 'deflate',
+  /** No compression */
+  Identity: 'identity',
+};
+
+/**
+ * Strategies for negotiating the SSE compression encoding
+ * (matches Go SDK's CompressionStrategy)
+ * @enum {string}
+ */
+const CompressionStrategy = {
+  /** Prefer the client's Accept-Encoding ordering (q-values), ties broken by server order */
+  ClientPriority: 'client',
+  /** Prefer the server's encoding ordering among those the client accepts */
+  ServerPriority: 'server',
+  /** Always use the server's first available encoding, regardless of Accept-Encoding */
+  Forced: 'forced',
+};
+
+/**
+ * What a stream does when a slow client lets its write buffer grow past
+ * the high-water mark
+ * @enum {string}
+ */
+const BackpressurePolicy = {
+  /** Keep every event up to maxBufferedBytes; async send methods and flush() wait for the buffer to drain */
+  Block: 'block',
+  /** Discard the oldest buffered events until the buffer is back under the mark */
+  DropOldest: 'drop-oldest',
+  /** Replace buffered element patches that target the same selector with the newest one (which moves it behind events sent in between) */
+  Coalesce: 'coalesce',
+  /** Close the connection */
+  Disconnect: 'disconnect',
+};
+
+/**
+ * How an error thrown inside a reply.datastar callback is shown to the client
+ * @enum {string}
+ */
+const ClientErrorRender = {
+  /** Patch the error info into a signal (default `datastarError`) */
+  Signal: 'signal',
+  /** Append a self-dismissing toast element */
+  Toast: 'toast',
+};
+
+/**
+ * Error codes returned in ReadSignalsResult when reading signals fails
+ * @enum {string}
+ */
+const SignalsErrorCode = {
+  /** The signals payload is not valid JSON */
+  InvalidJSON: 'INVALID_JSON',
+  /** The signals failed the route's signals schema */
+  ValidationFailed: 'VALIDATION_FAILED',
+  /** The signals payload is larger than the maxBytes limit */
+  PayloadTooLarge: 'PAYLOAD_TOO_LARGE',
+  /** The signals are nested deeper than maxDepth or have more than maxKeys entries */
+  LimitExceeded: 'LIMIT_EXCEEDED',
+  /** The signals contain `__proto__` or `constructor.prototype` keys */
+  UnsafePayload: 'UNSAFE_PAYLOAD',
 };
 
 /**
@@ -112,6 +218,12 @@ const Headers = {
   ContentTypeJSON: 'application/json',
   /** Query parameter name for signals in GET requests */
   SignalsQueryParam: 'datastar',
+  /** Request header listing the encodings the client accepts */
+  AcceptEncoding: 'accept-encoding',
+  /** Response header naming the encoding applied to the body */
+  ContentEncoding: 'content-encoding',
+  /** Request header carrying the last event id a reconnecting client received */
+  LastEventID: 'last-event-id',
 };
 
 module.exports = {
@@ -122,5 +234,10 @@ module.exports = {
   Namespace,
   DataLine,
   Defaults,
+  ContentEncoding,
+  CompressionStrategy,
+  BackpressurePolicy,
+  ClientErrorRender,
+  SignalsErrorCode,
   Headers,
 };
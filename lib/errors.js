@@ -0,0 +1,194 @@
+/**
+ * Error handling for reply.datastar streams
+ *
+ * By the time a `reply.datastar()` callback throws, the SSE headers have
+ * been sent, so Fastify can no longer answer with an error response. The
+ * error is instead run through the route's Fastify error handler (the
+ * default one logs it through `request.log`; a custom `setErrorHandler`
+ * decides what the client may see), and the payload the handler produces is
+ * rendered to the client as a `datastarError` signal or a toast element.
+ *
+ * @module errors
+ */
+
+'use strict';
+
+const { ClientErrorRender, Defaults, PatchMode } = require('./constants');
+const { html } = require('./helpers');
+const { dataInit } = require('./attributes');
+
+/**
+ * @typedef {Object} ClientErrorInfo
+ * @property {string} message - Message safe to show the user
+ * @property {number} statusCode - Status code chosen by the error handler
+ * @property {string} [code] - Error code, e.g. 'FST_ERR_VALIDATION' (development mode only)
+ * @property {string} [stack] - Stack trace (development mode only)
+ */
+
+/**
+ * @typedef {Object} ClientErrorOptions
+ * @property {('signal'|'toast'|false|((sse: import('./sse').ServerSentEventGenerator, info: ClientErrorInfo, error: Error) => void))} [render='signal'] - How to show the error to the client
+ * @property {string} [signalPath='datastarError'] - Signal the error info is patched into (render 'signal')
+ * @property {string} [selector='body'] - Element the toast is appended to (render 'toast')
+ * @property {number} [toastDuration=5000] - Time in ms before the toast removes itself (0 keeps it)
+ * @property {('development'|'production')} [mode='production'] - Development shows error messages, codes and stacks; production hides 5xx details. Only an explicit 'development' enables them
+ */
+
+/**
+ * Fill in the defaults of the clientErrors option
+ * @param {ClientErrorOptions|false|undefined} option - Raw option value
+ * @returns {ClientErrorOptions}
+ * @private
+ */
+function normalizeClientErrorOptions(option) {
+  const opts = option === false ? { render: false } : option || {};
+  return {
+    render: opts.render !== undefined ? opts.render : ClientErrorRender.Signal,
+    signalPath: opts.signalPath || Defaults.ClientErrorSignal,
+    selector: opts.selector || 'body',
+    toastDuration: opts.toastDuration !== undefined ? opts.toastDuration : Defaults.ClientErrorToastDuration,
+    mode: opts.mode === 'development' ? 'development' : 'production',
+  };
+}
+
+/**
+ * Run the route's Fastify error handler against a reply that records what
+ * the handler would send instead of writing it (the stream owns the
+ * response). The default handler logs the error through request.log.
+ * @param {Error} error - The error
+ * @param {import('fastify').FastifyRequest} request - The request
+ * @param {import('fastify').FastifyReply} reply - The streaming reply
+ * @returns {Promise<{ statusCode: number, payload: * }>}
+ * @private
+ */
+async function runErrorHandler(error, request, reply) {
+  const captured = {
+    statusCode: error.statusCode >= 400 ? error.statusCode : 500,
+    payload: error,
+  };
+
+  const recorder = Object.create(reply, {
+    code: { value(statusCode) { captured.statusCode = statusCode; return this; } },
+    status: { value(statusCode) { captured.statusCode = statusCode; return this; } },
+    statusCode: {
+      get() { return captured.statusCode; },
+      set(statusCode) { captured.statusCode = statusCode; },
+    },
+    header: { value() { return this; } },
+    headers: { value() { return this; } },
+    type: { value() { return this; } },
+    send: { value(payload) { captured.payload = payload; return this; } },
+  });
+
+  // The default handler also sets reply.raw.statusCode; the 200 has
+  // already gone out with the SSE headers, so keep reporting that
+  const sentStatusCode = reply.raw.statusCode;
+  try {
+    const result = await request.server.errorHandler(error, request, recorder);
+    if (result !== undefined && result !== recorder) {
+      captured.payload = result;
+    }
+  } catch (handlerError) {
+    request.log.error({ err: handlerError }, 'datastar stream error handler failed');
+  } finally {
+    reply.raw.statusCode = sentStatusCode;
+  }
+
+  return captured;
+}
+
+/**
+ * Build the info shown to the client from the error handler's output
+ * @param {Error} error - The original error
+ * @param {{ statusCode: number, payload: * }} handled - Error handler output
+ * @param {ClientErrorOptions} options - Normalized options
+ * @returns {ClientErrorInfo}
+ * @private
+ */
+function toClientErrorInfo(error, handled, options) {
+  const { statusCode, payload } = handled;
+  const development = options.mode === 'development';
+
+  let message;
+  if (payload instanceof Error) {
+    // Unhandled errors: only client errors are safe to describe in production
+    message = development || statusCode < 500 ? payload.message : 'Internal Server Error';
+  } else if (payload && typeof payload === 'object' && payload.message !== undefined) {
+    message = String(payload.message);
+  } else if (typeof payload === 'string') {
+    message = payload;
+  } else {
+    message = development ? error.message : 'Internal Server Error';
+  }
+
+  const info = { message, statusCode };
+  if (development && error.code) {
+    info.code = error.code;
+  }
+  if (development && error.stack) {
+    info.stack = error.stack;
+  }
+  return info;
+}
+
+/**
+ * Render the error info to the client
+ * @param {import('./sse').ServerSentEventGenerator} sse - The stream
+ * @param {ClientErrorInfo} info - Error info
+ * @param {Error} error - The original error
+ * @param {ClientErrorOptions} options - Normalized options
+ * @private
+ */
+function renderClientError(sse, info, error, options) {
+  const { render } = options;
+
+  if (typeof render === 'function') {
+    render(sse, info, error);
+  } else if (render === ClientErrorRender.Signal) {
+    const signals = {};
+    let node = signals;
+    const keys = options.signalPath.split('.');
+    for (const key of keys.slice(0, -1)) {
+      node = node[key] = {};
+    }
+    node[keys[keys.length - 1]] = info;
+    sse.patchSignals(signals);
+  } else if (render === ClientErrorRender.Toast) {
+    const dismiss = options.toastDuration > 0
+      ? dataInit(`setTimeout(() => el.remove(), ${options.toastDuration})`)
+      : null;
+    sse.patchElements(html`<div class="datastar-error" role="alert" ${dismiss}>${info.message}${
+      info.stack && html`<pre>${info.stack}</pre>`
+    }</div>`, { selector: options.selector, mode: PatchMode.Append });
+  }
+}
+
+/**
+ * Handle an error thrown by a reply.datastar callback: run it through the
+ * route's error handler, then show it to the client while the stream is
+ * still open
+ * @param {Error} error - The error
+ * @param {import('fastify').FastifyReply} reply - The streaming reply
+ * @param {import('./sse').ServerSentEventGenerator} sse - The stream
+ * @param {ClientErrorOptions} options - Normalized options
+ * @returns {Promise<void>}
+ */
+async function handleStreamError(error, reply, sse, options) {
+  const request = reply.request;
+  const handled = await runErrorHandler(error, request, reply);
+
+  if (options.render === false || sse.isClosed) {
+    return;
+  }
+
+  try {
+    renderClientError(sse, toClientErrorInfo(error, handled, options), error, options);
+  } catch (renderError) {
+    request.log.error({ err: renderError }, 'datastar stream error rendering failed');
+  }
+}
+
+module.exports = {
+  normalizeClientErrorOptions,
+  handleStreamError,
+};
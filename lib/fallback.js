@@ -0,0 +1,193 @@
+/**
+ * Non-SSE fallback responses for reply.datastar
+ *
+ * When a route using `reply.datastar()` is requested by something other
+ * than Datastar — a browser tab following a link, a form posted without
+ * JavaScript, curl, an API client — the callback runs against a recording
+ * generator instead of a stream. The recorded patches are then answered as
+ * a full HTML page (through a page renderer that places them in a layout),
+ * as JSON, or, when the callback redirected, as an HTTP redirect. One route
+ * can thereby serve progressive enhancement and API clients alike.
+ *
+ * @module fallback
+ */
+
+'use strict';
+
+const { ServerSentEventGenerator } = require('./sse');
+const { appendQuery } = require('./helpers');
+const { Defaults, PatchMode, Headers } = require('./constants');
+
+/**
+ * @typedef {Object} RecordedPatch
+ * @property {string} elements - HTML of the patch
+ * @property {string} [selector] - Target selector
+ * @property {string} mode - Patch mode
+ * @property {string} [namespace] - Element namespace
+ */
+
+/**
+ * What a reply.datastar callback produced, for fallback renderers
+ * @typedef {Object} FallbackView
+ * @property {RecordedPatch[]} patches - Element patches in the order they were made
+ * @property {string} html - HTML of every patch except removals, joined in order
+ * @property {Object} signals - Signals after applying every signal patch to `{}`
+ * @property {string|null} redirect - URL passed to sse.redirect(), if any
+ */
+
+/**
+ * @typedef {Object} FallbackOptions
+ * @property {(view: FallbackView, request: import('fastify').FastifyRequest, reply: import('fastify').FastifyReply) => (string|import('./helpers').SafeHtml|Promise<string|import('./helpers').SafeHtml>)} [page] - Render a full HTML page from the view
+ * @property {boolean|((view: FallbackView, request: import('fastify').FastifyRequest, reply: import('fastify').FastifyReply) => *)} [json] - Answer JSON requests with `{ signals, patches }` (true) or the function's return value
+ */
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for non-null, non-array objects
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Keys that could reach an object's prototype */
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) to a signals object in place.
+ * Prototype-reaching keys are skipped, as when signals are read.
+ * @param {Object} target - Signals to modify
+ * @param {Object} patch - Merge patch
+ * @param {boolean} onlyIfMissing - Only set keys that don't exist yet
+ * @private
+ */
+function applyMergePatch(target, patch, onlyIfMissing) {
+  for (const [key, value] of Object.entries(patch)) {
+    if (UNSAFE_KEYS.has(key)) {
+      continue;
+    }
+    if (value === null) {
+      if (!onlyIfMissing) {
+        delete target[key];
+      }
+    } else if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) {
+        if (onlyIfMissing && Object.prototype.hasOwnProperty.call(target, key)) {
+          continue;
+        }
+        target[key] = {};
+      }
+      applyMergePatch(target[key], value, onlyIfMissing);
+    } else if (!onlyIfMissing || !Object.prototype.hasOwnProperty.call(target, key)) {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Generator that records patches instead of streaming them
+ * @private
+ */
+class FallbackRecorder extends ServerSentEventGenerator {
+  constructor() {
+    super(null);
+    /** @type {FallbackView} */
+    this.view = { patches: [], html: '', signals: {}, redirect: null };
+  }
+
+  patchElements(elements, options = {}) {
+    this.view.patches.push({
+      elements: String(elements),
+      selector: options.selector,
+      mode: options.mode || Defaults.PatchMode,
+      namespace: options.namespace,
+    });
+  }
+
+  patchSignals(signals, options = {}) {
+    const patch = typeof signals === 'string' ? JSON.parse(signals) : signals;
+    applyMergePatch(this.view.signals, patch, Boolean(options.onlyIfMissing));
+  }
+
+  redirect(url, options = {}) {
+    this.view.redirect = appendQuery(url, options.query);
+  }
+
+  // Custom SSE events have no fallback equivalent
+  _send() {}
+
+  flush() {
+    return Promise.resolve();
+  }
+
+  close() {}
+}
+
+/**
+ * Pick the fallback for a request that isn't a Datastar request, from its
+ * Accept header and the configured renderers
+ * @param {import('fastify').FastifyRequest} request - The request
+ * @param {FallbackOptions} fallback - Fallback options
+ * @returns {('page'|'json'|null)} null to stream SSE as usual
+ */
+function chooseFallback(request, fallback) {
+  const accept = request.headers.accept || '*/*';
+  if (accept.includes(Headers.ContentTypeSSE)) {
+    return null;
+  }
+  if (fallback.page && accept.includes('text/html')) {
+    return 'page';
+  }
+  if (fallback.json && accept.includes(Headers.ContentTypeJSON)) {
+    return 'json';
+  }
+  if (fallback.page) {
+    return 'page';
+  }
+  return fallback.json ? 'json' : null;
+}
+
+/**
+ * Run a reply.datastar callback against a recorder and answer with the
+ * chosen fallback. Errors propagate to Fastify's error handling, since no
+ * response has been started.
+ * @param {('page'|'json')} kind - Fallback to render
+ * @param {import('fastify').FastifyReply} reply - The reply
+ * @param {Function} callback - reply.datastar callback
+ * @param {FallbackOptions} fallback - Fallback options
+ * @returns {Promise<void>}
+ */
+async function renderFallback(kind, reply, callback, fallback) {
+  const recorder = new FallbackRecorder();
+  await callback(recorder);
+
+  const { view } = recorder;
+  view.html = view.patches
+    .filter((patch) => patch.mode !== PatchMode.Remove)
+    .map((patch) => patch.elements)
+    .join('\n');
+
+  reply.header('Vary', 'Accept, Datastar-Request');
+
+  if (view.redirect) {
+    reply.redirect(view.redirect);
+    return;
+  }
+
+  if (kind === 'page') {
+    const page = await fallback.page(view, reply.request, reply);
+    reply.type('text/html; charset=utf-8').send(String(page));
+    return;
+  }
+
+  const body = typeof fallback.json === 'function'
+    ? await fallback.json(view, reply.request, reply)
+    : { signals: view.signals, patches: view.patches };
+  reply.send(body);
+}
+
+module.exports = {
+  chooseFallback,
+  renderFallback,
+  applyMergePatch,
+};
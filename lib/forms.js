@@ -0,0 +1,274 @@
+/**
+ * Form submission support for Datastar
+ *
+ * Datastar actions sent with `contentType: 'form'` post the closest form as
+ * `application/x-www-form-urlencoded`, or as `multipart/form-data` when the
+ * form has that enctype (e.g. file uploads). These content-type parsers turn
+ * both into a plain fields object that readSignals returns as signals; files
+ * are streamed to temporary files (within size limits), returned alongside as
+ * `files` and removed once the response has been sent.
+ *
+ * @module forms
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream');
+const Busboy = require('@fastify/busboy');
+const { Defaults, SignalsErrorCode } = require('./constants');
+
+/** Request property holding the files parsed from a multipart body */
+const kFiles = Symbol('datastar.files');
+
+/**
+ * @typedef {Object} FormLimits
+ * @property {number} [fileSize=10485760] - Maximum size of each file in bytes
+ * @property {number} [files=10] - Maximum number of files
+ * @property {number} [fields=1000] - Maximum number of non-file fields
+ * @property {number} [fieldSize=1048576] - Maximum size of each field value in bytes
+ * @property {string} [uploadDir=os.tmpdir()] - Directory uploaded files are written to
+ */
+
+/**
+ * @typedef {Object} UploadedFile
+ * @property {string} fieldname - Form field name
+ * @property {string} filename - Client-supplied file name
+ * @property {string} encoding - Transfer encoding
+ * @property {string} mimeType - Client-supplied MIME type
+ * @property {number} size - Size in bytes
+ * @property {string} filepath - Temporary file holding the contents, removed
+ *   once the response has been sent
+ */
+
+/**
+ * Add a field value, turning repeated fields into arrays
+ * @param {Object} fields - Fields collected so far
+ * @param {string} name - Field name
+ * @param {string} value - Field value
+ * @private
+ */
+function addField(fields, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+    fields[name] = value;
+  } else if (Array.isArray(fields[name])) {
+    fields[name].push(value);
+  } else {
+    fields[name] = [fields[name], value];
+  }
+}
+
+/**
+ * Create a 413 error that Fastify's error handler answers with
+ * @param {string} message - Error message
+ * @returns {Error}
+ * @private
+ */
+function tooLarge(message) {
+  const error = new Error(message);
+  error.statusCode = 413;
+  error.code = SignalsErrorCode.PayloadTooLarge;
+  return error;
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded body into a fields object
+ * @param {string} body - Raw body
+ * @returns {Object.<string, string|string[]>}
+ */
+function parseUrlEncoded(body) {
+  const fields = Object.create(null);
+  for (const [name, value] of new URLSearchParams(body)) {
+    addField(fields, name, value);
+  }
+  return { ...fields };
+}
+
+/**
+ * Remove the temporary files of uploaded files
+ * @param {UploadedFile[]} files - Uploaded files
+ * @returns {Promise<void>}
+ */
+async function removeFiles(files) {
+  await Promise.all(files.map((file) => fs.promises.rm(file.filepath, { force: true })));
+}
+
+/**
+ * Parse a multipart/form-data body, streaming file parts into temporary
+ * files while enforcing the limits. Files written before a failure are
+ * removed again.
+ * @param {import('fastify').FastifyRequest} request - The Fastify request
+ * @param {import('stream').Readable} payload - Request body stream
+ * @param {FormLimits} [limits={}] - Limits
+ * @returns {Promise<{ fields: Object, files: UploadedFile[] }>}
+ */
+function parseMultipart(request, payload, limits = {}) {
+  return new Promise((resolve, reject) => {
+    const uploadDir = limits.uploadDir || os.tmpdir();
+    const fields = Object.create(null);
+    const files = [];
+    const outputs = [];
+    const writes = [];
+    let failed = false;
+
+    const fail = (error) => {
+      if (!failed) {
+        failed = true;
+        payload.unpipe(busboy);
+        payload.resume();
+        for (const output of outputs) {
+          output.destroy();
+        }
+        Promise.allSettled(writes)
+          .then(() => removeFiles(files))
+          .catch((removeError) => request.log.warn(removeError, 'failed to remove uploaded files'))
+          .then(() => reject(error));
+      }
+    };
+
+    let busboy;
+    try {
+      busboy = new Busboy({
+        headers: request.headers,
+        limits: {
+          fileSize: limits.fileSize || Defaults.FormFileSize,
+          files: limits.files || Defaults.FormFiles,
+          fields: limits.fields || Defaults.FormFields,
+          fieldSize: limits.fieldSize || Defaults.SignalsMaxBytes,
+        },
+      });
+    } catch (error) {
+      error.statusCode = 400;
+      reject(error);
+      return;
+    }
+
+    busboy.on('field', (name, value, nameTruncated, valueTruncated) => {
+      if (valueTruncated) {
+        fail(tooLarge(`Form field "${name}" exceeds the field size limit`));
+        return;
+      }
+      addField(fields, name, value);
+    });
+
+    busboy.on('file', (fieldname, stream, filename, encoding, mimeType) => {
+      // Empty file inputs are sent without a file name
+      if (failed || !filename) {
+        stream.resume();
+        return;
+      }
+
+      const file = {
+        fieldname,
+        filename,
+        encoding,
+        mimeType,
+        size: 0,
+        filepath: path.join(uploadDir, `datastar-upload-${crypto.randomUUID()}`),
+      };
+      const output = fs.createWriteStream(file.filepath, { flags: 'wx', mode: 0o600 });
+
+      files.push(file);
+      outputs.push(output);
+      writes.push(new Promise((done, error) => {
+        output.once('close', done);
+        output.once('error', error);
+      }));
+
+      stream.on('data', (chunk) => {
+        file.size += chunk.length;
+      });
+      stream.on('limit', () => {
+        fail(tooLarge(`File "${filename}" exceeds the file size limit`));
+      });
+      pipeline(stream, output, (error) => {
+        if (error) {
+          fail(error);
+        }
+      });
+    });
+
+    busboy.on('filesLimit', () => fail(tooLarge('Too many files in form')));
+    busboy.on('fieldsLimit', () => fail(tooLarge('Too many fields in form')));
+    busboy.on('error', (error) => {
+      error.statusCode = 400;
+      fail(error);
+    });
+    busboy.on('finish', () => {
+      // Busboy finishes once the body is read; the files may still be flushing
+      Promise.all(writes).then(() => {
+        if (!failed) {
+          resolve({ fields: { ...fields }, files });
+        }
+      }, fail);
+    });
+
+    // A body that errors or stops short (the client aborted) never lets
+    // busboy finish
+    payload.on('error', (error) => {
+      error.statusCode = 400;
+      fail(error);
+    });
+    payload.on('close', () => {
+      if (!payload.readableEnded) {
+        const error = new Error('The request was aborted before the form was read');
+        error.statusCode = 400;
+        fail(error);
+      }
+    });
+
+    payload.pipe(busboy);
+  });
+}
+
+/**
+ * Register the form content-type parsers on a Fastify instance, along with
+ * the hooks removing uploaded files once the response has been sent (or the
+ * request aborted). Parsers that are already registered (e.g. by
+ * @fastify/formbody or @fastify/multipart) are left alone.
+ * @param {import('fastify').FastifyInstance} fastify - Fastify instance
+ * @param {FormLimits} [limits={}] - Limits
+ */
+function registerFormParsers(fastify, limits = {}) {
+  if (!fastify.hasContentTypeParser('application/x-www-form-urlencoded')) {
+    fastify.addContentTypeParser(
+      'application/x-www-form-urlencoded',
+      { parseAs: 'string' },
+      (request, body, done) => {
+        done(null, parseUrlEncoded(body));
+      }
+    );
+  }
+
+  if (!fastify.hasContentTypeParser('multipart/form-data')) {
+    fastify.addContentTypeParser('multipart/form-data', (request, payload, done) => {
+      parseMultipart(request, payload, limits).then(({ fields, files }) => {
+        request[kFiles] = files;
+        done(null, fields);
+      }, (error) => done(error));
+    });
+
+    const cleanup = async (request) => {
+      const files = request[kFiles];
+      if (files) {
+        request[kFiles] = null;
+        await removeFiles(files).catch((error) => {
+          request.log.warn(error, 'failed to remove uploaded files');
+        });
+      }
+    };
+    fastify.addHook('onResponse', cleanup);
+    fastify.addHook('onRequestAbort', cleanup);
+  }
+}
+
+module.exports = {
+  kFiles,
+  parseUrlEncoded,
+  parseMultipart,
+  removeFiles,
+  registerFormParsers,
+};
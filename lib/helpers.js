@@ -16,33 +16,255 @@
 
 'use strict';
 
+/**
+ * Options serialized into a backend action's second argument
+ * (see https://data-star.dev/reference/actions#options). `query` is not
+ * sent to Datastar; it is appended to the URL instead.
+ * @typedef {Object} ActionOptions
+ * @property {Object.<string, *>} [query] - Query parameters appended to the URL
+ * @property {'json'|'form'} [contentType] - Send signals as JSON or submit the closest form
+ * @property {{ include?: RegExp|string, exclude?: RegExp|string }} [filterSignals] - Which signals to send
+ * @property {string} [selector] - Form selector used with contentType 'form'
+ * @property {Object.<string, string>} [headers] - Extra request headers
+ * @property {boolean} [openWhenHidden] - Keep the connection open while the page is hidden
+ * @property {Object} [payload] - Send this payload instead of the signals
+ * @property {'auto'|'error'|'always'|'never'} [retry] - When to retry the request
+ * @property {number} [retryInterval] - Initial retry interval in ms
+ * @property {number} [retryScaler] - Multiplier applied to the retry interval
+ * @property {number} [retryMaxWaitMs] - Maximum retry interval in ms
+ * @property {number} [retryMaxCount] - Maximum number of retries
+ * @property {'auto'|'disabled'} [requestCancellation] - Whether a new request cancels the element's in-flight one
+ */
+
+/**
+ * Check for a plain object (an options argument rather than a format argument)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ * @private
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Quote a string as a single-quoted JavaScript string literal. `"`, `&`,
+ * `<` and the line/paragraph separators are escaped too, so the literal is
+ * also safe inside a double-quoted HTML attribute or a <script> element.
+ * @param {string} str - String to quote
+ * @returns {string}
+ */
+function jsString(str) {
+  const escaped = JSON.stringify(String(str))
+    .slice(1, -1)
+    .replace(/\\"/g, '\\x22')
+    .replace(/&/g, '\\x26')
+    .replace(/'/g, "\\'")
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+  return `'${escaped}'`;
+}
+
+/** Hex escapes for the characters that could end an HTML attribute or a <script> */
+const REGEXP_ESCAPES = { '"': '\\x22', '&': '\\x26', '<': '\\x3c' };
+
+/**
+ * Serialize a regular expression as a literal, escaping the characters a
+ * string literal made by jsString escapes (an escaped `\"` included)
+ * @param {RegExp} regex - Regular expression
+ * @returns {string}
+ * @private
+ */
+function jsRegExp(regex) {
+  // Escape sequences are matched whole, so `\\"` keeps its backslash
+  const source = regex.source.replace(/\\[\s\S]|["&<]/g, (match) => {
+    if (match.length === 2) {
+      return REGEXP_ESCAPES[match[1]] || match;
+    }
+    return REGEXP_ESCAPES[match];
+  });
+  return `/${source}/${regex.flags}`;
+}
+
+/**
+ * Append a query object to a URL (before any #fragment). Null and
+ * undefined values are skipped; arrays become repeated parameters.
+ * @param {string} url - URL
+ * @param {Object.<string, *>} [query] - Query parameters
+ * @returns {string}
+ */
+function appendQuery(url, query) {
+  if (!query) {
+    return url;
+  }
+
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    for (const item of [].concat(value)) {
+      params.append(key, String(item));
+    }
+  }
+
+  const querystring = params.toString();
+  if (!querystring) {
+    return url;
+  }
+
+  const hashIndex = url.indexOf('#');
+  const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  return `${base}${base.includes('?') ? '&' : '?'}${querystring}${hash}`;
+}
+
+/**
+ * Substitute sprintf-style %s/%v placeholders, URI-encoding each argument
+ * so it stays within its path segment or query value
+ * @param {string} urlFormat - URL format string
+ * @param {Array} [args=[]] - Arguments for format substitution
+ * @returns {string}
+ */
+function formatUrl(urlFormat, args = []) {
+  if (args.length === 0) {
+    return urlFormat;
+  }
+
+  let argIndex = 0;
+  return urlFormat.replace(/%[sv]/g, () => {
+    const arg = args[argIndex++];
+    return arg !== undefined ? encodeURIComponent(String(arg)) : '';
+  });
+}
+
+/**
+ * Serialize a value as a JavaScript expression for an action's options
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ * @private
+ */
+function jsValue(value) {
+  if (value instanceof RegExp) {
+    return jsRegExp(value);
+  }
+  if (typeof value === 'string') {
+    return jsString(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(jsValue).join(', ')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => {
+        const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : jsString(key);
+        return `${name}: ${jsValue(entry)}`;
+      });
+    return `{${entries.join(', ')}}`;
+  }
+  return String(value);
+}
+
+/**
+ * Serialize action options, turning filterSignals strings into regexes
+ * @param {ActionOptions} options - Action options
+ * @returns {string}
+ * @private
+ */
+function formatActionOptions(options) {
+  const serialized = {};
+
+  for (const [key, value] of Object.entries(options)) {
+    if (key !== 'filterSignals' || !value) {
+      serialized[key] = value;
+      continue;
+    }
+    serialized.filterSignals = {};
+    for (const filter of ['include', 'exclude']) {
+      if (value[filter] !== undefined) {
+        serialized.filterSignals[filter] = value[filter] instanceof RegExp
+          ? value[filter]
+          : new RegExp(value[filter]);
+      }
+    }
+  }
+
+  return jsValue(serialized);
+}
+
 /**
  * Internal helper to format SSE action strings
  * @param {string} action - The action type
  * @param {string} urlFormat - URL format string
- * @param {Array} args - Arguments for format substitution
+ * @param {Array} args - Arguments for format substitution (URI-encoded),
+ *   optionally followed by an {@link ActionOptions} object
  * @returns {string}
  * @private
  */
 function formatSSE(action, urlFormat, args) {
-  let url = urlFormat;
+  let options = null;
+
+  if (args.length > 0 && isPlainObject(args[args.length - 1])) {
+    options = args[args.length - 1];
+    args = args.slice(0, -1);
+  }
+
+  return formatAction(action, formatUrl(urlFormat, args), options);
+}
+
+/**
+ * Format an action for a URL, applying the query and action options
+ * @param {string} action - The action type
+ * @param {string} url - URL
+ * @param {ActionOptions|null} options - Action options
+ * @returns {string}
+ * @private
+ */
+function formatAction(action, url, options) {
+  const { query, ...actionOptions } = options || {};
+  const target = jsString(appendQuery(url, query));
 
-  if (args.length > 0) {
-    // Simple sprintf-style replacement for %s and %v
-    let argIndex = 0;
-    url = urlFormat.replace(/%[sv]/g, () => {
-      const arg = args[argIndex++];
-      return arg !== undefined ? String(arg) : '';
-    });
+  if (Object.keys(actionOptions).length > 0) {
+    return `${action}(${target}, ${formatActionOptions(actionOptions)})`;
   }
+  return `${action}(${target})`;
+}
+
+/** Action types of the HTTP methods a named route can be called with */
+const ROUTE_ACTIONS = new Map([
+  ['get', '@get'],
+  ['post', '@post'],
+  ['put', '@put'],
+  ['patch', '@patch'],
+  ['delete', '@delete'],
+]);
 
-  return `${action}('${url}')`;
+/**
+ * Build the action for a named route's resolved path
+ * @param {'get'|'post'|'put'|'patch'|'delete'} method - HTTP method
+ * @param {string} url - Resolved path
+ * @param {ActionOptions|null} [options] - Action options
+ * @returns {string}
+ * @throws {Error} If the method is unknown
+ */
+function routeAction(method, url, options = null) {
+  const action = ROUTE_ACTIONS.get(String(method).toLowerCase());
+  if (!action) {
+    throw new Error(`Unknown Datastar action method "${method}"`);
+  }
+  return formatAction(action, url, options);
 }
 
 /**
  * Generate a Datastar GET action attribute value
  * @param {string} url - The URL to fetch
- * @param {...*} args - Optional format arguments (sprintf-style %s substitution)
+ * @param {...*} args - Optional format arguments (sprintf-style %s substitution),
+ *   optionally followed by an {@link ActionOptions} object
  * @returns {string}
  * 
  * @example
@@ -51,6 +273,12 @@ function formatSSE(action, urlFormat, args) {
  * 
  * GetSSE('/api/users/%s', userId)
  * // Returns: "@get('/api/users/123')"
+ *
+ * GetSSE('/api/users', { query: { page: 2 } })
+ * // Returns: "@get('/api/users?page=2')"
+ *
+ * GetSSE('/api/feed', { openWhenHidden: true, filterSignals: { include: /^feed\./ } })
+ * // Returns: "@get('/api/feed', {openWhenHidden: true, filterSignals: {include: /^feed\./}})"
  */
 function GetSSE(url, ...args) {
   return formatSSE('@get', url, args);
@@ -59,7 +287,8 @@ function GetSSE(url, ...args) {
 /**
  * Generate a Datastar POST action attribute value
  * @param {string} url - The URL to post to
- * @param {...*} args - Optional format arguments
+ * @param {...*} args - Optional format arguments, optionally followed by an
+ *   {@link ActionOptions} object
  * @returns {string}
  */
 function PostSSE(url, ...args) {
@@ -69,7 +298,8 @@ function PostSSE(url, ...args) {
 /**
  * Generate a Datastar PUT action attribute value
  * @param {string} url - The URL to put to
- * @param {...*} args - Optional format arguments
+ * @param {...*} args - Optional format arguments, optionally followed by an
+ *   {@link ActionOptions} object
  * @returns {string}
  */
 function PutSSE(url, ...args) {
@@ -79,7 +309,8 @@ function PutSSE(url, ...args) {
 /**
  * Generate a Datastar PATCH action attribute value
  * @param {string} url - The URL to patch
- * @param {...*} args - Optional format arguments
+ * @param {...*} args - Optional format arguments, optionally followed by an
+ *   {@link ActionOptions} object
  * @returns {string}
  */
 function PatchSSE(url, ...args) {
@@ -89,7 +320,8 @@ function PatchSSE(url, ...args) {
 /**
  * Generate a Datastar DELETE action attribute value
  * @param {string} url - The URL to delete
- * @param {...*} args - Optional format arguments
+ * @param {...*} args - Optional format arguments, optionally followed by an
+ *   {@link ActionOptions} object
  * @returns {string}
  */
 function DeleteSSE(url, ...args) {
@@ -111,11 +343,12 @@ function signalsAttr(signals) {
 
 /**
  * Helper to escape HTML entities
- * @param {string} str - String to escape
+ * Non-string values are converted to strings; null and undefined become ''.
+ * @param {*} str - String to escape
  * @returns {string}
  */
 function escapeHtml(str) {
-  return str
+  return (str === null || str === undefined ? '' : String(str))
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
@@ -132,6 +365,87 @@ function safeJSON(obj) {
   return escapeHtml(JSON.stringify(obj));
 }
 
+/**
+ * HTML that is already safe and is inserted into `html` templates verbatim.
+ * Produced by the `html` tag and `raw()`; accepted directly by
+ * `sse.patchElements()`.
+ */
+class SafeHtml {
+  /**
+   * @param {string} value - Trusted HTML
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Render a template interpolation: safe HTML is kept, arrays are rendered
+ * item by item, null/undefined/booleans render nothing, anything else is
+ * escaped
+ * @param {*} value - Interpolated value
+ * @returns {string}
+ * @private
+ */
+function renderValue(value) {
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+  if (value === null || value === undefined || typeof value === 'boolean') {
+    return '';
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template for building HTML fragments. Interpolated values are
+ * HTML-escaped unless they are themselves `html` templates or `raw()`
+ * values; arrays are rendered item by item; null, undefined and booleans
+ * render nothing (so `${done && html`<s>done</s>`}` works).
+ *
+ * @param {TemplateStringsArray} strings - Template strings
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml}
+ *
+ * @example
+ * sse.patchElements(html`
+ *   <ul id="todos">
+ *     ${todos.map((t) => html`<li class="${t.done && 'done'}">${t.text}</li>`)}
+ *   </ul>
+ * `);
+ * // t.text is escaped; the nested <li> templates are not
+ */
+function html(strings, ...values) {
+  let out = strings[0];
+  for (let i = 0; i < values.length; i++) {
+    out += renderValue(values[i]) + strings[i + 1];
+  }
+  return new SafeHtml(out);
+}
+
+/**
+ * Mark a string as trusted HTML so `html` templates insert it unescaped.
+ * Only use with HTML you control.
+ * @param {string} value - Trusted HTML
+ * @returns {SafeHtml}
+ *
+ * @example
+ * html`<div>${raw(renderMarkdown(post.body))}</div>`
+ */
+function raw(value) {
+  return new SafeHtml(value === null || value === undefined ? '' : String(value));
+}
+
 module.exports = {
   GetSSE,
   PostSSE,
@@ -141,4 +455,11 @@ module.exports = {
   signalsAttr,
   escapeHtml,
   safeJSON,
+  html,
+  raw,
+  SafeHtml,
+  routeAction,
+  jsString,
+  appendQuery,
+  formatUrl,
 };
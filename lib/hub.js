@@ -0,0 +1,354 @@
+/**
+ * Broadcast hub for Datastar
+ *
+ * Fans the same events out to many open `reply.datastarStream()` connections.
+ * Connections are registered under one or more named topics (rooms) and are
+ * removed automatically when the client disconnects. With a pub/sub adapter
+ * (see the adapters module) publishes also reach connections held by other
+ * processes.
+ *
+ * @module hub
+ */
+
+'use strict';
+
+const { randomUUID } = require('crypto');
+const { ServerSentEventGenerator } = require('./sse');
+
+/**
+ * @typedef {Object} HubOptions
+ * @property {import('./adapters').HubAdapter} [adapter] - Pub/sub adapter for cross-process fan-out
+ * @property {{ error: Function }} [logger] - Logger used to report adapter failures
+ */
+
+/**
+ * @typedef {Object} HubRegisterOptions
+ * @property {string[]} [topics=[]] - Topics to join
+ * @property {Object} [meta={}] - Connection metadata used by publish filters (e.g. `{ userId }`)
+ */
+
+/**
+ * @typedef {Object} HubConnection
+ * @property {ServerSentEventGenerator} sse - The connection's generator
+ * @property {Object} meta - Connection metadata
+ * @property {Set<string>} topics - Topics the connection has joined
+ */
+
+/**
+ * @typedef {Object} HubEvent
+ * @property {string} eventType - SSE event type
+ * @property {string[]} dataLines - SSE data lines
+ * @property {{ eventId?: string, retryDuration?: number }} options - Event options
+ */
+
+/**
+ * Filter deciding which connections receive a publish. Either a predicate
+ * called with the connection's metadata, or an object whose entries must all
+ * equal the corresponding metadata entries.
+ * @typedef {((meta: Object, sse: ServerSentEventGenerator) => boolean)|Object} HubFilter
+ */
+
+/**
+ * @typedef {Object} HubPublishOptions
+ * @property {HubFilter} [filter] - Only deliver to matching connections. Predicate filters cannot cross processes, so such publishes stay local.
+ * @property {boolean} [local=false] - Only deliver to this process's connections, skipping the adapter
+ */
+
+/**
+ * Generator that records events instead of writing them, so a publish
+ * callback runs once and its events can be replayed to every connection
+ * @private
+ */
+class EventRecorder extends ServerSentEventGenerator {
+  constructor() {
+    super(null);
+    /** @type {HubEvent[]} */
+    this.events = [];
+  }
+
+  _send(eventType, dataLines, options = {}) {
+    this.events.push({
+      eventType,
+      dataLines,
+      options: { eventId: options.eventId, retryDuration: options.retryDuration },
+    });
+  }
+
+  close() {}
+}
+
+/**
+ * Check a connection's metadata against a publish filter
+ * @param {HubFilter|undefined} filter - The filter
+ * @param {HubConnection} connection - The connection
+ * @returns {boolean}
+ * @private
+ */
+function matchesFilter(filter, connection) {
+  if (!filter) {
+    return true;
+  }
+  if (typeof filter === 'function') {
+    return Boolean(filter(connection.meta, connection.sse));
+  }
+  return Object.entries(filter).every(([key, value]) => connection.meta[key] === value);
+}
+
+/**
+ * Broadcast hub for fanning out events to open SSE connections
+ *
+ * @example
+ * // SSE endpoint
+ * fastify.get('/feed', async (request, reply) => {
+ *   reply.datastarStream({ topics: ['chat'], meta: { userId: request.user.id } });
+ * });
+ *
+ * // Anywhere else
+ * fastify.datastarHub.publish('chat', (sse) => {
+ *   sse.patchElements('<li>New message</li>', { selector: '#messages', mode: 'append' });
+ * });
+ */
+class DatastarHub {
+  /**
+   * Create a new DatastarHub
+   * @param {HubOptions} [options={}] - Hub options
+   */
+  constructor(options = {}) {
+    /** @type {Map<string, Set<HubConnection>>} */
+    this._topics = new Map();
+    /** @type {Map<ServerSentEventGenerator, HubConnection>} */
+    this._connections = new Map();
+    this._id = randomUUID();
+    this._adapter = options.adapter || null;
+    this._logger = options.logger || null;
+
+    this._handler = (message) => this._receive(message);
+
+    if (this._adapter) {
+      this._callAdapter(() => this._adapter.subscribe(this._handler));
+    }
+  }
+
+  /**
+   * Register a connection with the hub. The connection is removed
+   * automatically when the underlying response closes.
+   * @param {ServerSentEventGenerator} sse - The connection's generator
+   * @param {HubRegisterOptions} [options={}] - Registration options
+   * @returns {Function} Function that unregisters the connection
+   */
+  register(sse, options = {}) {
+    let connection = this._connections.get(sse);
+
+    if (!connection) {
+      connection = { sse, meta: options.meta || {}, topics: new Set() };
+      this._connections.set(sse, connection);
+      sse.reply.raw.on('close', () => this.unregister(sse));
+    } else if (options.meta) {
+      connection.meta = options.meta;
+    }
+
+    for (const topic of options.topics || []) {
+      this.join(sse, topic);
+    }
+
+    return () => this.unregister(sse);
+  }
+
+  /**
+   * Remove a connection from the hub and all of its topics
+   * @param {ServerSentEventGenerator} sse - The connection's generator
+   */
+  unregister(sse) {
+    const connection = this._connections.get(sse);
+    if (!connection) {
+      return;
+    }
+
+    for (const topic of connection.topics) {
+      this._removeFromTopic(topic, connection);
+    }
+    this._connections.delete(sse);
+  }
+
+  /**
+   * Add a registered connection to a topic (registers it if needed)
+   * @param {ServerSentEventGenerator} sse - The connection's generator
+   * @param {string} topic - Topic name
+   */
+  join(sse, topic) {
+    if (!this._connections.has(sse)) {
+      this.register(sse);
+    }
+
+    const connection = this._connections.get(sse);
+    connection.topics.add(topic);
+
+    if (!this._topics.has(topic)) {
+      this._topics.set(topic, new Set());
+    }
+    this._topics.get(topic).add(connection);
+  }
+
+  /**
+   * Remove a connection from a topic
+   * @param {ServerSentEventGenerator} sse - The connection's generator
+   * @param {string} topic - Topic name
+   */
+  leave(sse, topic) {
+    const connection = this._connections.get(sse);
+    if (connection) {
+      connection.topics.delete(topic);
+      this._removeFromTopic(topic, connection);
+    }
+  }
+
+  /**
+   * Publish events to every connection in a topic.
+   * The callback runs once against a recording generator; the events it
+   * produces are then sent to each matching connection, and forwarded
+   * through the adapter (if any) to other processes.
+   * @param {string} topic - Topic name
+   * @param {(sse: ServerSentEventGenerator) => void} callback - Produces the events to send
+   * @param {HubPublishOptions} [options={}] - Publish options
+   * @returns {number} Number of local connections the events were delivered to
+   */
+  publish(topic, callback, options = {}) {
+    const recorder = new EventRecorder();
+    callback(recorder);
+
+    const { filter } = options;
+    if (this._adapter && !options.local && typeof filter !== 'function') {
+      const message = { origin: this._id, topic, events: recorder.events };
+      if (filter) {
+        message.filter = filter;
+      }
+      this._callAdapter(() => this._adapter.publish(message));
+    }
+
+    return this._deliver(topic, recorder.events, filter);
+  }
+
+  /**
+   * Stop receiving messages from the adapter
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this._adapter) {
+      return;
+    }
+    if (typeof this._adapter.unsubscribe === 'function') {
+      await this._adapter.unsubscribe(this._handler);
+    }
+    if (typeof this._adapter.close === 'function') {
+      await this._adapter.close();
+    }
+  }
+
+  /**
+   * Number of connections in a topic, or in the hub when no topic is given
+   * @param {string} [topic] - Topic name
+   * @returns {number}
+   */
+  size(topic) {
+    if (topic === undefined) {
+      return this._connections.size;
+    }
+    const connections = this._topics.get(topic);
+    return connections ? connections.size : 0;
+  }
+
+  /**
+   * Names of topics that currently have connections
+   * @returns {string[]}
+   */
+  topics() {
+    return Array.from(this._topics.keys());
+  }
+
+  /**
+   * Handle a message published by another hub
+   * @param {import('./adapters').HubMessage} message - Incoming message
+   * @private
+   */
+  _receive(message) {
+    if (!message || message.origin === this._id) {
+      return;
+    }
+    this._deliver(message.topic, message.events, message.filter);
+  }
+
+  /**
+   * Call into the adapter, reporting sync and async failures to the logger
+   * rather than letting them break local delivery
+   * @param {Function} fn - Adapter call
+   * @private
+   */
+  _callAdapter(fn) {
+    const report = (error) => {
+      if (this._logger) {
+        this._logger.error({ err: error }, 'datastar hub adapter error');
+      }
+    };
+
+    try {
+      const result = fn();
+      if (result && typeof result.then === 'function') {
+        result.catch(report);
+      }
+    } catch (error) {
+      report(error);
+    }
+  }
+
+  /**
+   * Send recorded events to the matching connections of a topic
+   * @param {string} topic - Topic name
+   * @param {HubEvent[]} events - Events to send
+   * @param {HubFilter} [filter] - Connection filter
+   * @returns {number} Number of connections delivered to
+   * @private
+   */
+  _deliver(topic, events, filter) {
+    const connections = this._topics.get(topic);
+    if (!connections) {
+      return 0;
+    }
+
+    let delivered = 0;
+    for (const connection of Array.from(connections)) {
+      if (connection.sse.isClosed) {
+        this.unregister(connection.sse);
+        continue;
+      }
+      if (!matchesFilter(filter, connection)) {
+        continue;
+      }
+
+      for (const event of events) {
+        connection.sse.send(event.eventType, event.dataLines, event.options);
+      }
+      delivered++;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Remove a connection from a topic's set, dropping empty topics
+   * @param {string} topic - Topic name
+   * @param {HubConnection} connection - The connection
+   * @private
+   */
+  _removeFromTopic(topic, connection) {
+    const connections = this._topics.get(topic);
+    if (!connections) {
+      return;
+    }
+    connections.delete(connection);
+    if (connections.size === 0) {
+      this._topics.delete(topic);
+    }
+  }
+}
+
+module.exports = { DatastarHub };
@@ -0,0 +1,828 @@
+/**
+ * Type declarations for @johntom/datastar-fastify
+ *
+ * Mirrors the JSDoc typedefs in lib/*.js. Keep the two in sync when
+ * options or signatures change.
+ */
+
+/// <reference types="node" />
+
+import type { Transform } from 'stream';
+import type {
+  FastifyPluginCallback,
+  FastifyReply,
+  FastifyRequest,
+} from 'fastify';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+export const DATASTAR_VERSION: string;
+export const DATASTAR_KEY: 'datastar';
+
+export const EventType: {
+  readonly PatchElements: 'datastar-patch-elements';
+  readonly PatchSignals: 'datastar-patch-signals';
+};
+export type EventType = typeof EventType[keyof typeof EventType];
+
+export const PatchMode: {
+  readonly Outer: 'outer';
+  readonly Inner: 'inner';
+  readonly Replace: 'replace';
+  readonly Prepend: 'prepend';
+  readonly Append: 'append';
+  readonly Before: 'before';
+  readonly After: 'after';
+  readonly Remove: 'remove';
+};
+export type PatchMode = typeof PatchMode[keyof typeof PatchMode];
+
+export const Namespace: {
+  readonly HTML: 'html';
+  readonly SVG: 'svg';
+  readonly MathML: 'mathml';
+};
+export type Namespace = typeof Namespace[keyof typeof Namespace];
+
+export const DataLine: {
+  readonly Selector: 'selector';
+  readonly Mode: 'mode';
+  readonly Elements: 'elements';
+  readonly UseViewTransition: 'useViewTransition';
+  readonly ViewTransitionSelector: 'viewTransitionSelector';
+  readonly Namespace: 'namespace';
+  readonly Signals: 'signals';
+  readonly OnlyIfMissing: 'onlyIfMissing';
+};
+export type DataLine = typeof DataLine[keyof typeof DataLine];
+
+export const Defaults: {
+  readonly SSERetryDuration: number;
+  readonly UseViewTransitions: boolean;
+  readonly OnlyIfMissing: boolean;
+  readonly AutoRemove: boolean;
+  readonly PatchMode: PatchMode;
+  readonly Namespace: Namespace;
+  readonly HighWaterMark: number;
+  readonly MaxBufferedBytes: number;
+  readonly SignalsMaxBytes: number;
+  readonly SignalsMaxDepth: number;
+  readonly SignalsMaxKeys: number;
+  readonly FormFileSize: number;
+  readonly FormFiles: number;
+  readonly FormFields: number;
+  readonly ClientErrorSignal: string;
+  readonly ClientErrorToastDuration: number;
+  readonly ShutdownGracePeriod: number;
+  readonly MetricsPrefix: string;
+  readonly MetricsRoute: string;
+  readonly InspectorPath: string;
+  readonly InspectorHistorySize: number;
+};
+
+export const ContentEncoding: {
+  readonly Zstd: 'zstd';
+  readonly Brotli: 'br';
+  readonly Gzip: 'gzip';
+  readonly Deflate: 'deflate';
+  readonly Identity: 'identity';
+};
+export type ContentEncoding = typeof ContentEncoding[keyof typeof ContentEncoding];
+
+export const CompressionStrategy: {
+  readonly ClientPriority: 'client';
+  readonly ServerPriority: 'server';
+  readonly Forced: 'forced';
+};
+export type CompressionStrategy = typeof CompressionStrategy[keyof typeof CompressionStrategy];
+
+export const BackpressurePolicy: {
+  readonly Block: 'block';
+  readonly DropOldest: 'drop-oldest';
+  readonly Coalesce: 'coalesce';
+  readonly Disconnect: 'disconnect';
+};
+export type BackpressurePolicy = typeof BackpressurePolicy[keyof typeof BackpressurePolicy];
+
+export const ClientErrorRender: {
+  readonly Signal: 'signal';
+  readonly Toast: 'toast';
+};
+export type ClientErrorRender = typeof ClientErrorRender[keyof typeof ClientErrorRender];
+
+export const SignalsErrorCode: {
+  readonly InvalidJSON: 'INVALID_JSON';
+  readonly ValidationFailed: 'VALIDATION_FAILED';
+  readonly PayloadTooLarge: 'PAYLOAD_TOO_LARGE';
+  readonly LimitExceeded: 'LIMIT_EXCEEDED';
+  readonly UnsafePayload: 'UNSAFE_PAYLOAD';
+};
+export type SignalsErrorCode = typeof SignalsErrorCode[keyof typeof SignalsErrorCode];
+
+export const Headers: {
+  readonly DatastarRequest: 'datastar-request';
+  readonly ContentTypeSSE: 'text/event-stream';
+  readonly ContentTypeJSON: 'application/json';
+  readonly SignalsQueryParam: 'datastar';
+  readonly AcceptEncoding: 'accept-encoding';
+  readonly ContentEncoding: 'content-encoding';
+  readonly LastEventID: 'last-event-id';
+};
+
+// ---------------------------------------------------------------------------
+// Signals (lib/signals.js, lib/forms.js)
+// ---------------------------------------------------------------------------
+
+export type Signals = Record<string, unknown>;
+
+export interface SignalValidationError {
+  /** Dotted path of the offending signal (e.g. 'user.email') */
+  path: string;
+  /** Validator message */
+  message: string;
+  /** JSON Schema keyword that failed */
+  keyword: string;
+}
+
+export interface UploadedFile {
+  fieldname: string;
+  filename: string;
+  encoding: string;
+  mimeType: string;
+  size: number;
+  /** Temporary file holding the contents, removed once the response has been sent */
+  filepath: string;
+}
+
+export interface ReadSignalsSuccess<T = Signals> {
+  success: true;
+  signals: T;
+  /** Files uploaded with a multipart/form-data submission */
+  files?: UploadedFile[];
+}
+
+export interface ReadSignalsFailure {
+  success: false;
+  error: string;
+  code: SignalsErrorCode;
+  /** 413 for PAYLOAD_TOO_LARGE, else 400 */
+  statusCode: number;
+  /** Schema violations when code is VALIDATION_FAILED */
+  validationErrors?: SignalValidationError[];
+  /** First violation message per signal path when code is VALIDATION_FAILED */
+  fieldErrors?: Record<string, string>;
+}
+
+export type ReadSignalsResult<T = Signals> = ReadSignalsSuccess<T> | ReadSignalsFailure;
+
+export interface SignalLimits {
+  /** Maximum payload size in bytes (default 1 MiB) */
+  maxBytes?: number;
+  /** Maximum nesting depth of objects and arrays (default 32) */
+  maxDepth?: number;
+  /** Maximum number of object keys and array items across the payload (default 10000) */
+  maxKeys?: number;
+  /** What to do with `__proto__` keys (default 'error') */
+  protoAction?: 'error' | 'remove';
+  /** What to do with `constructor` keys holding a `prototype` (default 'error') */
+  constructorAction?: 'error' | 'remove';
+}
+
+export interface ReadSignalsOptions {
+  /** JSON Schema the signals must satisfy */
+  schema?: object;
+  /** Size and shape limits and unsafe-key handling */
+  limits?: SignalLimits;
+}
+
+export interface FormLimits {
+  fileSize?: number;
+  files?: number;
+  fields?: number;
+  fieldSize?: number;
+  /** Directory uploaded files are written to (default os.tmpdir()) */
+  uploadDir?: string;
+}
+
+export function readSignals<T = Signals>(
+  request: FastifyRequest,
+  options?: ReadSignalsOptions
+): Promise<ReadSignalsResult<T>>;
+
+export function isDatastarRequest(request: FastifyRequest): boolean;
+
+// ---------------------------------------------------------------------------
+// Generator (lib/sse.js)
+// ---------------------------------------------------------------------------
+
+export interface EventOptions {
+  /** Custom event ID for this SSE event */
+  eventId?: string;
+  /** Retry duration in milliseconds */
+  retryDuration?: number;
+}
+
+export interface PatchElementsOptions extends EventOptions {
+  /** CSS selector for the target element(s) */
+  selector?: string;
+  /** The patch mode to use (default 'outer') */
+  mode?: PatchMode;
+  /** Whether to use the View Transition API */
+  useViewTransition?: boolean;
+  /** Element the View Transition is scoped to */
+  viewTransitionSelector?: string;
+  /** Namespace in which to create new elements (default 'html') */
+  namespace?: Namespace;
+}
+
+export interface PatchSignalsOptions extends EventOptions {
+  /** Only patch signals that don't exist */
+  onlyIfMissing?: boolean;
+}
+
+export interface ExecuteScriptOptions extends EventOptions {
+  /** Auto-remove script after execution (default true) */
+  autoRemove?: boolean;
+  /** HTML attributes for the script element */
+  attributes?: Record<string, string>;
+}
+
+export interface NavigateOptions extends ExecuteScriptOptions {
+  /** Query parameters appended to the URL */
+  query?: QueryParams;
+}
+
+export type RemoveElementsOptions = EventOptions;
+
+export interface DispatchCustomEventOptions extends ExecuteScriptOptions {
+  /** Target selector (default 'document') */
+  selector?: string;
+  bubbles?: boolean;
+  cancelable?: boolean;
+  composed?: boolean;
+}
+
+export interface ValidationElementsOptions {
+  /** Element id prefix (default 'err-') */
+  idPrefix?: string;
+  /** Render an error element; must keep the given id. The id and message are not escaped for custom renderers. */
+  render?: (id: string, message: string, field: string) => string;
+}
+
+export interface ValidationErrorsOptions {
+  /** Signal the errors are patched under (default 'errors'); false to skip the signal patch */
+  signalPath?: string | false;
+  /** Every field of the form; fields without an error are cleared */
+  fields?: string[];
+  /** Also patch an error element per field */
+  elements?: boolean | ValidationElementsOptions;
+}
+
+export type ValidationErrors =
+  | Record<string, string>
+  | SignalValidationError[]
+  | ReadSignalsResult<unknown>;
+
+export interface BackpressureOptions {
+  /** Buffered bytes above which the policy applies (default 1 MiB) */
+  highWaterMark?: number;
+  /** What to do over the high-water mark (default 'block') */
+  policy?: BackpressurePolicy;
+  /** Held-back bytes above which the client is disconnected whatever the policy (default 4 MiB, at least highWaterMark) */
+  maxBufferedBytes?: number;
+}
+
+export interface GeneratorOptions {
+  /** Compressor piped into reply.raw */
+  compressor?: { stream: Transform; flushKind: number };
+  /** Replay store and stream key for Last-Event-ID resumption */
+  replay?: { store: ReplayStore; key: string };
+  /** Write a `: ping` comment every N ms */
+  heartbeatInterval?: number;
+  /** Called once when the connection is found to be gone */
+  onAbort?: () => void;
+  /** How to handle a slow client */
+  backpressure?: BackpressureOptions;
+  /** Buffer events until the end of the current microtask */
+  batch?: boolean;
+}
+
+export class ServerSentEventGenerator {
+  constructor(reply: FastifyReply | null, options?: GeneratorOptions);
+
+  readonly reply: FastifyReply;
+  readonly isClosed: boolean;
+  readonly bufferedBytes: number;
+
+  flush(): Promise<void>;
+  batch<T>(fn: () => T): T;
+
+  send(eventType: string, dataLines: string[], options?: EventOptions): void;
+  sendEvent(eventType: string, data: unknown, options?: EventOptions): void;
+
+  patchElements(elements: string | SafeHtml, options?: PatchElementsOptions): void;
+  patchElementsAsync(elements: string | SafeHtml, options?: PatchElementsOptions): Promise<void>;
+  patchSignals(signals: Signals | string, options?: PatchSignalsOptions): void;
+  patchSignalsAsync(signals: Signals | string, options?: PatchSignalsOptions): Promise<void>;
+  marshalAndPatchSignals(signals: Signals, options?: PatchSignalsOptions): void;
+  patchSignalsIfMissing(signals: Signals | string, options?: PatchSignalsOptions): void;
+  removeSignals(...signalNames: string[]): void;
+
+  patchValidationErrors(errors: ValidationErrors, options?: ValidationErrorsOptions): void;
+  clearValidationErrors(fields: string[], options?: ValidationErrorsOptions): void;
+
+  executeScript(script: string, options?: ExecuteScriptOptions): void;
+  removeElement(selector: string, options?: RemoveElementsOptions): void;
+  removeElements(selector: string, options?: RemoveElementsOptions): void;
+  removeElementByID(id: string, options?: RemoveElementsOptions): void;
+  redirect(url: string, options?: NavigateOptions): void;
+  redirectf(format: string, ...args: unknown[]): void;
+  replaceUrl(url: string, options?: NavigateOptions): void;
+  replaceUrlQuerystring(querystring: string, options?: ExecuteScriptOptions): void;
+  consoleLog(message: string, options?: ExecuteScriptOptions): void;
+  consoleError(message: string, options?: ExecuteScriptOptions): void;
+  dispatchCustomEvent(eventName: string, detail?: unknown, options?: DispatchCustomEventOptions): void;
+  prefetch(urls: string[], options?: ExecuteScriptOptions): void;
+
+  close(): void;
+}
+
+// ---------------------------------------------------------------------------
+// Hub (lib/hub.js, lib/adapters.js)
+// ---------------------------------------------------------------------------
+
+export interface HubEvent {
+  eventType: string;
+  dataLines: string[];
+  options: EventOptions;
+}
+
+export interface HubMessage {
+  /** Id of the publishing hub */
+  origin: string;
+  topic: string;
+  events: HubEvent[];
+  /** Object filter matched against connection meta */
+  filter?: Record<string, unknown>;
+}
+
+export interface HubAdapter {
+  publish(message: HubMessage): void | Promise<void>;
+  subscribe(handler: (message: HubMessage) => void): void | Promise<void>;
+  unsubscribe?(handler: (message: HubMessage) => void): void | Promise<void>;
+  close?(): void | Promise<void>;
+}
+
+export type HubFilter =
+  | ((meta: Record<string, any>, sse: ServerSentEventGenerator) => boolean)
+  | Record<string, unknown>;
+
+export interface HubOptions {
+  adapter?: HubAdapter;
+  logger?: { error: (...args: any[]) => void };
+}
+
+export interface HubRegisterOptions {
+  topics?: string[];
+  meta?: Record<string, unknown>;
+}
+
+export interface HubPublishOptions {
+  /** Only deliver to matching connections. Predicate filters stay local. */
+  filter?: HubFilter;
+  /** Only deliver to this process's connections */
+  local?: boolean;
+}
+
+export class DatastarHub {
+  constructor(options?: HubOptions);
+
+  register(sse: ServerSentEventGenerator, options?: HubRegisterOptions): () => void;
+  unregister(sse: ServerSentEventGenerator): void;
+  join(sse: ServerSentEventGenerator, topic: string): void;
+  leave(sse: ServerSentEventGenerator, topic: string): void;
+  publish(
+    topic: string,
+    callback: (sse: ServerSentEventGenerator) => void,
+    options?: HubPublishOptions
+  ): number;
+  close(): Promise<void>;
+  size(topic?: string): number;
+  topics(): string[];
+}
+
+export class MemoryAdapter implements HubAdapter {
+  publish(message: HubMessage): void;
+  subscribe(handler: (message: HubMessage) => void): void;
+  unsubscribe(handler: (message: HubMessage) => void): void;
+}
+
+export interface ClusterAdapterOptions {
+  /** IPC channel name (default 'datastar:hub') */
+  channel?: string;
+  /** Process used for IPC */
+  process?: NodeJS.Process;
+}
+
+export class ClusterAdapter implements HubAdapter {
+  constructor(options?: ClusterAdapterOptions);
+  publish(message: HubMessage): void;
+  subscribe(handler: (message: HubMessage) => void): void;
+  unsubscribe(handler: (message: HubMessage) => void): void;
+  close(): void;
+  static setupPrimary(options?: { channel?: string; cluster?: import('cluster').Cluster }): () => void;
+}
+
+// ---------------------------------------------------------------------------
+// Replay (lib/replay.js)
+// ---------------------------------------------------------------------------
+
+export interface ReplayStoreOptions {
+  /** Maximum events buffered per stream key (default 100) */
+  maxSize?: number;
+  /** Time in ms an event stays replayable (default 60000) */
+  ttl?: number;
+}
+
+export interface ReplayEvent {
+  id: string;
+  eventType: string;
+  dataLines: string[];
+  retryDuration?: number;
+  timestamp: number;
+}
+
+export class ReplayStore {
+  constructor(options?: ReplayStoreOptions);
+  record(key: string, eventType: string, dataLines: string[], options?: { retryDuration?: number }): string;
+  since(key: string, lastEventId: string): ReplayEvent[];
+  clear(key: string): void;
+}
+
+// ---------------------------------------------------------------------------
+// Metrics (lib/metrics.js)
+// ---------------------------------------------------------------------------
+
+export interface MetricsOptions {
+  /** Prefix of every metric name (default 'datastar_') */
+  prefix?: string;
+  /** Upper bounds in seconds of the connection duration histogram buckets */
+  buckets?: number[];
+}
+
+/** Records the metrics of a single stream */
+export interface StreamRecorder {
+  event(eventType: string): void;
+  written(bytes: number): void;
+  writeError(): void;
+  close(): void;
+}
+
+export class DatastarMetrics {
+  constructor(options?: MetricsOptions);
+  /** Start recording a stream opened by a route pattern */
+  track(route: string): StreamRecorder;
+  /** Render every metric in the Prometheus text exposition format */
+  render(): string;
+}
+
+// ---------------------------------------------------------------------------
+// Plugin (lib/plugin.js)
+// ---------------------------------------------------------------------------
+
+export interface CompressionOptions {
+  /** Encodings in server preference order (default: zstd, br, gzip, deflate) */
+  encodings?: ContentEncoding[];
+  /** Negotiation strategy (default 'client') */
+  strategy?: CompressionStrategy;
+  /** Compression level/quality passed to the encoder */
+  level?: number;
+}
+
+export interface ClientErrorInfo {
+  /** Message safe to show the user */
+  message: string;
+  /** Status code chosen by the error handler */
+  statusCode: number;
+  /** Error code (development mode only) */
+  code?: string;
+  /** Stack trace (development mode only) */
+  stack?: string;
+}
+
+export interface ClientErrorOptions {
+  /** How to show the error to the client (default 'signal') */
+  render?: ClientErrorRender | false | ((sse: ServerSentEventGenerator, info: ClientErrorInfo, error: Error) => void);
+  /** Signal the error info is patched into (default 'datastarError') */
+  signalPath?: string;
+  /** Element the toast is appended to (default 'body') */
+  selector?: string;
+  /** Time in ms before the toast removes itself; 0 keeps it (default 5000) */
+  toastDuration?: number;
+  /** 'development' sends error messages, codes and stacks to the client (default 'production') */
+  mode?: 'development' | 'production';
+}
+
+export interface RecordedPatch {
+  elements: string;
+  selector?: string;
+  mode: PatchMode;
+  namespace?: Namespace;
+}
+
+/** What a reply.datastar callback produced, for fallback renderers */
+export interface FallbackView {
+  /** Element patches in the order they were made */
+  patches: RecordedPatch[];
+  /** HTML of every patch except removals, joined in order */
+  html: string;
+  /** Signals after applying every signal patch to `{}` */
+  signals: Signals;
+  /** URL passed to sse.redirect(), if any */
+  redirect: string | null;
+}
+
+export interface FallbackOptions {
+  /** Render a full HTML page from the view */
+  page?: (view: FallbackView, request: FastifyRequest, reply: FastifyReply) => string | SafeHtml | Promise<string | SafeHtml>;
+  /** Answer JSON requests with `{ signals, patches }` (true) or the function's return value */
+  json?: boolean | ((view: FallbackView, request: FastifyRequest, reply: FastifyReply) => unknown);
+}
+
+export interface ShutdownOptions {
+  /** Time in ms ended streams get to finish writing before their connections are destroyed (default 5000) */
+  gracePeriod?: number;
+  /** Signals to patch into, or a function sending events to, every stream before it is ended */
+  finalEvent?: Signals | ((sse: ServerSentEventGenerator) => void);
+  /** Retry duration in ms sent before the final event, so clients reconnect sooner */
+  retryDuration?: number;
+}
+
+export interface EventLogOptions {
+  /** Log level of the event entries (default 'debug') */
+  level?: string;
+  /** Log signal values too, not just the top-level keys (default false) */
+  signals?: boolean;
+  /** Dotted signal paths whose values are replaced with '[Redacted]' when signals are logged; `*` matches any key */
+  redact?: string[];
+}
+
+export interface InspectorOptions {
+  /** Path of the inspector page; its feed and replay routes are registered below it (default '/_datastar/inspector') */
+  path?: string;
+  /** Number of captured events kept for the tail and for replay (default 200) */
+  historySize?: number;
+  /** URL the page loads the Datastar client from */
+  scriptUrl?: string;
+}
+
+export interface MetricsPluginOptions extends MetricsOptions {
+  /** Path the metrics are served at (default '/metrics'); false registers no route */
+  route?: string | false;
+}
+
+export interface DatastarPluginOptions {
+  /** Default SSE retry duration in ms (default 1000) */
+  defaultRetryDuration?: number;
+  /** Compress SSE responses with per-event flushing */
+  compression?: boolean | CompressionOptions;
+  /** Pub/sub adapter so hub publishes reach other processes */
+  hubAdapter?: HubAdapter;
+  /** Enable Last-Event-ID replay for streams opened with a `replayKey` */
+  replay?: boolean | ReplayStoreOptions | ReplayStore;
+  /** Write a `: ping` comment every N ms on every stream (0 disables) */
+  heartbeatInterval?: number;
+  /** How streams handle slow clients */
+  backpressure?: BackpressureOptions;
+  /** Batch each stream's events per microtask */
+  batch?: boolean;
+  /** Size/shape limits and unsafe-key handling for signal payloads */
+  signalLimits?: SignalLimits;
+  /** Register form content-type parsers (with these limits); false to skip */
+  forms?: boolean | FormLimits;
+  /** How errors thrown in reply.datastar callbacks are shown to the client; false to only log them */
+  clientErrors?: false | ClientErrorOptions;
+  /** Answer non-Datastar requests to reply.datastar routes with an HTML page or JSON */
+  fallback?: FallbackOptions;
+  /** How open streams are ended when the app closes; false leaves them open */
+  shutdown?: false | ShutdownOptions;
+  /** Record connection and event metrics and serve them in the Prometheus text format */
+  metrics?: boolean | MetricsPluginOptions | DatastarMetrics;
+  /** Log every emitted event through request.log (debug level by default) */
+  logEvents?: boolean | EventLogOptions;
+  /** Serve the development inspector page (ignored unless NODE_ENV is 'development'); its routes are unauthenticated */
+  inspector?: boolean | InspectorOptions;
+}
+
+export interface StreamOptions {
+  /** Error callback */
+  onError?: (error: Error) => void;
+  /** Connection abort callback */
+  onAbort?: () => void;
+  /** Keep the stream open after the callback */
+  keepAlive?: boolean;
+  /** Override the plugin's compression setting for this stream */
+  compression?: boolean | CompressionOptions;
+  /** datastarStream only: register the stream with the hub under these topics */
+  topics?: string[];
+  /** datastarStream only: hub connection metadata used by publish filters */
+  meta?: Record<string, unknown>;
+  /** Override the plugin's heartbeat interval for this stream */
+  heartbeatInterval?: number;
+  /** Override the plugin's backpressure options for this stream */
+  backpressure?: BackpressureOptions;
+  /** Override the plugin's batching setting for this stream */
+  batch?: boolean;
+  /** Key identifying this logical stream across reconnects */
+  replayKey?: string;
+  /** datastar only: override the plugin's clientErrors option */
+  clientErrors?: false | ClientErrorOptions;
+  /** datastar only: override the plugin's fallback option; false to always stream */
+  fallback?: false | FallbackOptions;
+  /** Override the plugin's logEvents option for this stream */
+  logEvents?: boolean | EventLogOptions;
+}
+
+export const datastar: FastifyPluginCallback<DatastarPluginOptions>;
+export const datastarPlugin: FastifyPluginCallback<DatastarPluginOptions>;
+
+// ---------------------------------------------------------------------------
+// Helpers (lib/helpers.js, lib/routes.js)
+// ---------------------------------------------------------------------------
+
+export type QueryParams = Record<string, string | number | boolean | null | undefined | Array<string | number | boolean>>;
+export type RouteParams = Record<string, string | number>;
+
+export interface ActionOptions {
+  /** Query parameters appended to the URL (not sent to Datastar) */
+  query?: QueryParams;
+  contentType?: 'json' | 'form';
+  filterSignals?: { include?: RegExp | string; exclude?: RegExp | string };
+  selector?: string;
+  headers?: Record<string, string>;
+  openWhenHidden?: boolean;
+  payload?: unknown;
+  retry?: 'auto' | 'error' | 'always' | 'never';
+  retryInterval?: number;
+  retryScaler?: number;
+  retryMaxWaitMs?: number;
+  retryMaxCount?: number;
+  requestCancellation?: 'auto' | 'disabled';
+}
+
+/** An app's named routes */
+export interface DatastarRoutes {
+  has(name: string): boolean;
+  /** Build the path of a named route; throws for an unknown name or a missing param */
+  resolve(name: string, params?: RouteParams): string;
+}
+
+export interface ActionHelper {
+  (url: string, ...args: Array<string | number | boolean | ActionOptions | null | undefined>): string;
+}
+
+/** HTTP method of a named route's action */
+export type ActionMethod = 'get' | 'post' | 'put' | 'patch' | 'delete';
+
+export const GetSSE: ActionHelper;
+export const PostSSE: ActionHelper;
+export const PutSSE: ActionHelper;
+export const PatchSSE: ActionHelper;
+export const DeleteSSE: ActionHelper;
+
+export function signalsAttr(signals: Signals): string;
+export function escapeHtml(str: unknown): string;
+export function safeJSON(obj: unknown): string;
+
+/** HTML that is inserted into `html` templates verbatim */
+export class SafeHtml {
+  constructor(value: string);
+  readonly value: string;
+  toString(): string;
+}
+
+export function html(strings: TemplateStringsArray, ...values: unknown[]): SafeHtml;
+export function raw(value: unknown): SafeHtml;
+
+// ---------------------------------------------------------------------------
+// data-* attribute builders (lib/attributes.js)
+// ---------------------------------------------------------------------------
+
+/** Milliseconds, or a string with a unit (e.g. '500ms', '1s') */
+export type Duration = number | string;
+
+export interface TimingOptions {
+  wait: Duration;
+  leading?: boolean;
+  trailing?: boolean;
+}
+
+export type SignalCase = 'camel' | 'kebab' | 'snake' | 'pascal';
+
+export interface EventModifiers {
+  once?: boolean;
+  passive?: boolean;
+  capture?: boolean;
+  case?: SignalCase;
+  delay?: Duration;
+  debounce?: Duration | TimingOptions;
+  throttle?: Duration | TimingOptions;
+  viewTransition?: boolean;
+  window?: boolean;
+  outside?: boolean;
+  prevent?: boolean;
+  stop?: boolean;
+}
+
+export interface IntersectModifiers {
+  once?: boolean;
+  exit?: boolean;
+  half?: boolean;
+  full?: boolean;
+  delay?: Duration;
+  debounce?: Duration | TimingOptions;
+  throttle?: Duration | TimingOptions;
+  viewTransition?: boolean;
+}
+
+export type Expression = string | { toString(): string };
+export type ExpressionMap = Record<string, Expression>;
+
+export function dataAttr(name: string, expression: Expression): SafeHtml;
+export function dataAttr(map: ExpressionMap): SafeHtml;
+export function dataBind(signal: string): SafeHtml;
+export function dataClass(name: string, expression: Expression): SafeHtml;
+export function dataClass(map: ExpressionMap): SafeHtml;
+export function dataComputed(signal: string, expression: Expression, options?: { case?: SignalCase }): SafeHtml;
+export function dataEffect(expression: Expression): SafeHtml;
+export function dataIgnore(options?: { self?: boolean }): SafeHtml;
+export function dataIgnoreMorph(): SafeHtml;
+export function dataIndicator(signal: string): SafeHtml;
+export function dataInit(expression: Expression, options?: { delay?: Duration; viewTransition?: boolean }): SafeHtml;
+export function dataJsonSignals(filter?: string, options?: { terse?: boolean }): SafeHtml;
+export function dataOn(event: string, expression: Expression, options?: EventModifiers): SafeHtml;
+export function dataOnIntersect(expression: Expression, options?: IntersectModifiers): SafeHtml;
+export function dataOnInterval(
+  expression: Expression,
+  options?: { duration?: Duration | TimingOptions; viewTransition?: boolean }
+): SafeHtml;
+export function dataOnSignalPatch(
+  expression: Expression,
+  options?: { delay?: Duration; debounce?: Duration | TimingOptions; throttle?: Duration | TimingOptions }
+): SafeHtml;
+export function dataOnSignalPatchFilter(filter: string): SafeHtml;
+export function dataPersist(filter?: string, options?: { session?: boolean }): SafeHtml;
+export function dataPreserveAttr(names: string | string[]): SafeHtml;
+export function dataRef(signal: string): SafeHtml;
+export function dataShow(expression: Expression): SafeHtml;
+export function dataSignals(signals: Signals, options?: { ifMissing?: boolean; case?: SignalCase }): SafeHtml;
+export function dataStyle(property: string, expression: Expression): SafeHtml;
+export function dataStyle(map: ExpressionMap): SafeHtml;
+export function dataText(expression: Expression): SafeHtml;
+
+// ---------------------------------------------------------------------------
+// Fastify decorators
+// ---------------------------------------------------------------------------
+
+declare module 'fastify' {
+  interface FastifyInstance {
+    /** Broadcast hub for fanning out events to open streams */
+    datastarHub: DatastarHub;
+    /** Build the URL of a route registered with `config: { datastarName }` */
+    datastarUrl(name: string, params?: RouteParams, query?: QueryParams): string;
+    /** Build the action for a route registered with `config: { datastarName }` */
+    datastarAction(method: ActionMethod, name: string, params?: RouteParams, options?: ActionOptions): string;
+    /** This app's routes registered with `config: { datastarName }` */
+    datastarRoutes: DatastarRoutes;
+    /** Connection and event metrics; null unless the `metrics` option is enabled */
+    datastarMetrics: DatastarMetrics | null;
+  }
+
+  interface FastifyRequest {
+    /** Read Datastar signals, validating them against `config.signals` when declared */
+    readSignals<T = Signals>(options?: ReadSignalsOptions): Promise<ReadSignalsResult<T>>;
+    /** Check if this is a Datastar request */
+    isDatastarRequest(): boolean;
+  }
+
+  interface FastifyReply {
+    /** Start an SSE stream that is closed when the callback completes */
+    datastar(
+      callback: (sse: ServerSentEventGenerator) => void | Promise<void>,
+      options?: StreamOptions
+    ): Promise<void>;
+    /** Start a persistent SSE stream; close it with sse.close() */
+    datastarStream(options?: StreamOptions): ServerSentEventGenerator;
+  }
+
+  interface FastifyContextConfig {
+    /** JSON Schema for the route's signals */
+    signals?: object;
+    /** Patch field errors into this signal path when `signals` validation fails */
+    signalsErrorPath?: string;
+    /** Name used by fastify.datastarUrl() and fastify.datastarAction() */
+    datastarName?: string;
+  }
+}
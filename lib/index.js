@@ -32,6 +32,10 @@ const { datastar, datastarPlugin } = require('./plugin');
 
 // Core classes
 const { ServerSentEventGenerator } = require('./sse');
+const { DatastarHub } = require('./hub');
+const { MemoryAdapter, ClusterAdapter } = require('./adapters');
+const { ReplayStore } = require('./replay');
+const { DatastarMetrics } = require('./metrics');
 
 // Utilities
 const { readSignals, isDatastarRequest } = require('./signals');
@@ -45,6 +49,11 @@ const {
   Namespace,
   DataLine,
   Defaults,
+  ContentEncoding,
+  CompressionStrategy,
+  BackpressurePolicy,
+  ClientErrorRender,
+  SignalsErrorCode,
   Headers,
 } = require('./constants');
 
@@ -58,8 +67,37 @@ const {
   signalsAttr,
   escapeHtml,
   safeJSON,
+  html,
+  raw,
+  SafeHtml,
 } = require('./helpers');
 
+// data-* Attribute Builders
+const {
+  dataAttr,
+  dataBind,
+  dataClass,
+  dataComputed,
+  dataEffect,
+  dataIgnore,
+  dataIgnoreMorph,
+  dataIndicator,
+  dataInit,
+  dataJsonSignals,
+  dataOn,
+  dataOnIntersect,
+  dataOnInterval,
+  dataOnSignalPatch,
+  dataOnSignalPatchFilter,
+  dataPersist,
+  dataPreserveAttr,
+  dataRef,
+  dataShow,
+  dataSignals,
+  dataStyle,
+  dataText,
+} = require('./attributes');
+
 module.exports = {
   // Plugin (default export style)
   datastar,
@@ -67,6 +105,11 @@ module.exports = {
   
   // Core classes
   ServerSentEventGenerator,
+  DatastarHub,
+  MemoryAdapter,
+  ClusterAdapter,
+  ReplayStore,
+  DatastarMetrics,
   
   // Utilities
   readSignals,
@@ -80,6 +123,11 @@ module.exports = {
   Namespace,
   DataLine,
   Defaults,
+  ContentEncoding,
+  CompressionStrategy,
+  BackpressurePolicy,
+  ClientErrorRender,
+  SignalsErrorCode,
   Headers,
   
   // HTML Attribute Helpers
@@ -91,4 +139,31 @@ module.exports = {
   signalsAttr,
   escapeHtml,
   safeJSON,
+  html,
+  raw,
+  SafeHtml,
+
+  // data-* Attribute Builders
+  dataAttr,
+  dataBind,
+  dataClass,
+  dataComputed,
+  dataEffect,
+  dataIgnore,
+  dataIgnoreMorph,
+  dataIndicator,
+  dataInit,
+  dataJsonSignals,
+  dataOn,
+  dataOnIntersect,
+  dataOnInterval,
+  dataOnSignalPatch,
+  dataOnSignalPatchFilter,
+  dataPersist,
+  dataPreserveAttr,
+  dataRef,
+  dataShow,
+  dataSignals,
+  dataStyle,
+  dataText,
 };
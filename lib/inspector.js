@@ -0,0 +1,452 @@
+/**
+ * Development inspector for live SSE streams
+ *
+ * With the `inspector` option the plugin serves a page (at
+ * `/_datastar/inspector` by default) listing every open stream and tailing
+ * the events written to each: the selector, mode and a preview of element
+ * patches, and what each signal patch changed relative to the earlier
+ * patches on the same stream. Any captured event can be replayed to a live
+ * connection. The page itself is a Datastar app fed by a stream of its own,
+ * which is not inspected.
+ *
+ * None of the routes are authenticated, and the replay route writes to other
+ * clients' streams, so the plugin only registers them when NODE_ENV is
+ * 'development'.
+ *
+ * @module inspector
+ */
+
+'use strict';
+
+const { DATASTAR_VERSION, EventType, DataLine, Defaults, PatchMode } = require('./constants');
+const { html, GetSSE, PostSSE } = require('./helpers');
+const { dataInit, dataOn, dataShow, dataSignals, dataText } = require('./attributes');
+const { parseSignals, dataLineValue } = require('./logging');
+
+/**
+ * @typedef {Object} InspectorOptions
+ * @property {string} [path='/_datastar/inspector'] - Path of the inspector page; its feed and replay routes are registered below it
+ * @property {number} [historySize=200] - Number of captured events kept for the tail and for replay
+ * @property {string} [scriptUrl] - URL the page loads the Datastar client from (default: the jsDelivr bundle of the supported version)
+ */
+
+/**
+ * @typedef {Object} SignalChange
+ * @property {string} path - Dotted signal path
+ * @property {*} [from] - Value before the patch (undefined when it was added)
+ * @property {*} [to] - Value after the patch (undefined when it was removed)
+ */
+
+/**
+ * @typedef {Object} CapturedEvent
+ * @property {number} id - Capture id
+ * @property {number} streamId - Id of the stream the event was written to
+ * @property {number} time - Capture time (ms since the epoch)
+ * @property {string} eventType - SSE event type
+ * @property {string[]} dataLines - SSE data lines, for replay
+ * @property {string} [eventId] - Event id sent with the event
+ * @property {number} bytes - Size of the formatted event in bytes
+ * @property {string} [selector] - Target selector (patch-elements)
+ * @property {string} [mode] - Patch mode (patch-elements)
+ * @property {string} [preview] - Start of the elements or data
+ * @property {SignalChange[]} [changes] - Signal changes (patch-signals)
+ */
+
+/** Characters of elements or data shown in an event preview */
+const PREVIEW_LENGTH = 200;
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for non-null, non-array objects
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply a JSON Merge Patch to the signals seen on a stream, collecting the
+ * leaf values it changes
+ * @param {Object} state - Signals seen so far (modified in place)
+ * @param {Object} patch - Merge patch
+ * @param {boolean} onlyIfMissing - Only set keys that don't exist yet
+ * @param {string} [prefix=''] - Path of `state`
+ * @param {SignalChange[]} [changes=[]] - Collected changes
+ * @returns {SignalChange[]}
+ * @private
+ */
+function diffSignals(state, patch, onlyIfMissing, prefix = '', changes = []) {
+  for (const [key, value] of Object.entries(patch)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const exists = Object.prototype.hasOwnProperty.call(state, key);
+
+    if (onlyIfMissing && exists && !isPlainObject(value)) {
+      continue;
+    }
+
+    if (value === null) {
+      if (exists) {
+        changes.push({ path, from: state[key] });
+        delete state[key];
+      }
+    } else if (isPlainObject(value)) {
+      if (!isPlainObject(state[key])) {
+        if (onlyIfMissing && exists) {
+          continue;
+        }
+        state[key] = {};
+      }
+      diffSignals(state[key], value, onlyIfMissing, path, changes);
+    } else if (JSON.stringify(state[key]) !== JSON.stringify(value)) {
+      changes.push({ path, from: state[key], to: value });
+      state[key] = value;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Shorten a preview to PREVIEW_LENGTH characters
+ * @param {string} text - Text
+ * @returns {string}
+ * @private
+ */
+function truncate(text) {
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+}
+
+/**
+ * Format a signal value for display
+ * @param {*} value - Value
+ * @returns {string}
+ * @private
+ */
+function formatValue(value) {
+  return value === undefined ? '∅' : JSON.stringify(value);
+}
+
+/**
+ * A stream being inspected
+ * @private
+ */
+class InspectedStream {
+  /**
+   * @param {Inspector} inspector - Owning inspector
+   * @param {number} id - Stream id
+   * @param {import('fastify').FastifyReply} reply - The streaming reply
+   */
+  constructor(inspector, id, reply) {
+    this.id = id;
+    this.method = reply.request.method;
+    this.url = reply.request.url;
+    this.route = reply.request.routeOptions.url || '';
+    this.openedAt = Date.now();
+    this.eventCount = 0;
+    /** @type {import('./sse').ServerSentEventGenerator|null} */
+    this.sse = null;
+    /** Signals sent so far, for diffing */
+    this.signals = {};
+
+    /**
+     * Event observer passed to the generator
+     * @type {(eventType: string, dataLines: string[], event: import('./logging').LoggedEvent) => void}
+     */
+    this.capture = (eventType, dataLines, event) => {
+      inspector._capture(this, eventType, dataLines, event);
+    };
+
+    reply.raw.once('close', () => inspector._remove(this));
+  }
+}
+
+/**
+ * Records live streams and the events written to them, and renders the
+ * inspector page
+ */
+class Inspector {
+  /**
+   * Create a new Inspector
+   * @param {InspectorOptions} [options={}] - Inspector options
+   */
+  constructor(options = {}) {
+    this.path = options.path || Defaults.InspectorPath;
+    this._historySize = options.historySize || Defaults.InspectorHistorySize;
+    this._scriptUrl = options.scriptUrl
+      || `https://cdn.jsdelivr.net/gh/starfederation/datastar@v${DATASTAR_VERSION}/bundles/datastar.js`;
+    this._nextStreamId = 1;
+    this._nextEventId = 1;
+    /** @type {Map<number, InspectedStream>} */
+    this._streams = new Map();
+    /** @type {CapturedEvent[]} */
+    this._events = [];
+    /** @type {Set<import('./sse').ServerSentEventGenerator>} */
+    this._feeds = new Set();
+  }
+
+  /**
+   * Start inspecting a stream. Streams opened by the inspector's own
+   * routes are skipped.
+   * @param {import('fastify').FastifyReply} reply - The streaming reply
+   * @returns {InspectedStream|null}
+   */
+  open(reply) {
+    const route = reply.request.routeOptions.url || '';
+    if (route === this.path || route.startsWith(`${this.path}/`)) {
+      return null;
+    }
+
+    const stream = new InspectedStream(this, this._nextStreamId++, reply);
+    this._streams.set(stream.id, stream);
+    this._broadcast((feed) => feed.patchElements(this._renderStreams()));
+    return stream;
+  }
+
+  /**
+   * Send a captured event to a live stream again
+   * @param {number} eventId - Capture id
+   * @param {number} [streamId] - Target stream (default: the stream the event was captured on)
+   * @returns {{ event: CapturedEvent, stream: InspectedStream }}
+   * @throws {Error} If the event is no longer captured or the stream is gone
+   */
+  replay(eventId, streamId) {
+    const event = this._events.find((candidate) => candidate.id === eventId);
+    if (!event) {
+      throw new Error(`Event ${eventId} is no longer captured`);
+    }
+
+    const stream = this._streams.get(streamId !== undefined ? streamId : event.streamId);
+    if (!stream || !stream.sse || stream.sse.isClosed) {
+      throw new Error(`Stream ${streamId !== undefined ? streamId : event.streamId} is not open`);
+    }
+
+    stream.sse.send(event.eventType, event.dataLines);
+    return { event, stream };
+  }
+
+  /**
+   * Attach an inspector page's feed: render the current state, then keep
+   * it updated until the page goes away
+   * @param {import('./sse').ServerSentEventGenerator} feed - The page's stream
+   */
+  openFeed(feed) {
+    this._feeds.add(feed);
+    feed.reply.raw.once('close', () => this._feeds.delete(feed));
+
+    feed.patchElements(this._renderStreams());
+    feed.patchElements(html`<tbody id="inspector-events">${
+      this._events.slice().reverse().map((event) => this._renderEvent(event))
+    }</tbody>`);
+  }
+
+  /**
+   * Render the inspector page
+   * @returns {import('./helpers').SafeHtml}
+   */
+  renderPage() {
+    return html`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Datastar inspector</title>
+  <script type="module" src="${this._scriptUrl}"></script>
+  <style>
+    body { font: 14px system-ui, sans-serif; margin: 1rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+    th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+    pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+    code { color: #555; }
+  </style>
+</head>
+<body ${dataSignals({ filter: '', target: '', replayEvent: 0, status: '' })} ${dataInit(GetSSE(`${this.path}/feed`))}>
+  <h1>Datastar inspector</h1>
+  <h2>Live streams</h2>
+  <table id="inspector-streams"></table>
+  <p>
+    Showing <strong ${dataText("$filter ? 'stream #' + $filter : 'all streams'")}></strong>
+    <button ${dataOn('click', "$filter = ''")}>Show all</button>
+    · Replaying to <strong ${dataText("$target ? 'stream #' + $target : 'the original stream'")}></strong>
+    <button ${dataOn('click', "$target = ''")}>Reset</button>
+    <span ${dataText('$status')}></span>
+  </p>
+  <h2>Events</h2>
+  <table>
+    <thead><tr><th>#</th><th>Stream</th><th>Time</th><th>Type</th><th>Details</th><th></th></tr></thead>
+    <tbody id="inspector-events"></tbody>
+  </table>
+</body>
+</html>`;
+  }
+
+  /**
+   * Record an event written to an inspected stream
+   * @param {InspectedStream} stream - The stream
+   * @param {string} eventType - SSE event type
+   * @param {string[]} dataLines - SSE data lines
+   * @param {import('./logging').LoggedEvent} event - Event details
+   * @private
+   */
+  _capture(stream, eventType, dataLines, event) {
+    /** @type {CapturedEvent} */
+    const captured = {
+      id: this._nextEventId++,
+      streamId: stream.id,
+      time: Date.now(),
+      eventType,
+      dataLines,
+      eventId: event.eventId,
+      bytes: event.bytes,
+    };
+
+    if (eventType === EventType.PatchElements) {
+      const prefix = `${DataLine.Elements} `;
+      captured.selector = dataLineValue(dataLines, DataLine.Selector);
+      captured.mode = dataLineValue(dataLines, DataLine.Mode) || PatchMode.Outer;
+      captured.preview = truncate(dataLines
+        .filter((line) => line.startsWith(prefix))
+        .map((line) => line.slice(prefix.length))
+        .join('\n'));
+    } else if (eventType === EventType.PatchSignals) {
+      const signals = event.signals || parseSignals(dataLines);
+      const onlyIfMissing = dataLineValue(dataLines, DataLine.OnlyIfMissing) === 'true';
+      captured.changes = isPlainObject(signals) ? diffSignals(stream.signals, signals, onlyIfMissing) : [];
+    } else {
+      captured.preview = truncate(dataLines.join('\n'));
+    }
+
+    stream.eventCount++;
+    this._events.push(captured);
+    if (this._events.length > this._historySize) {
+      const dropped = this._events.shift();
+      this._broadcast((feed) => feed.removeElements(`#inspector-event-${dropped.id}`));
+    }
+
+    this._broadcast((feed) => {
+      feed.patchElements(this._renderEvent(captured), {
+        selector: '#inspector-events',
+        mode: PatchMode.Prepend,
+      });
+      feed.patchElements(this._renderStreamRow(stream));
+    });
+  }
+
+  /**
+   * Forget a stream whose connection closed
+   * @param {InspectedStream} stream - The stream
+   * @private
+   */
+  _remove(stream) {
+    this._streams.delete(stream.id);
+    this._broadcast((feed) => feed.patchElements(this._renderStreams()));
+  }
+
+  /**
+   * Run a function for every open inspector page
+   * @param {(feed: import('./sse').ServerSentEventGenerator) => void} fn - Function
+   * @private
+   */
+  _broadcast(fn) {
+    for (const feed of this._feeds) {
+      if (!feed.isClosed) {
+        fn(feed);
+      }
+    }
+  }
+
+  /**
+   * @returns {import('./helpers').SafeHtml}
+   * @private
+   */
+  _renderStreams() {
+    const streams = [...this._streams.values()];
+    return html`<table id="inspector-streams">
+      <thead><tr><th>#</th><th>Request</th><th>Route</th><th>Opened</th><th>Events</th><th></th></tr></thead>
+      <tbody>${streams.length === 0
+        ? html`<tr><td colspan="6">No open streams</td></tr>`
+        : streams.map((stream) => this._renderStreamRow(stream))}</tbody>
+    </table>`;
+  }
+
+  /**
+   * @param {InspectedStream} stream - The stream
+   * @returns {import('./helpers').SafeHtml}
+   * @private
+   */
+  _renderStreamRow(stream) {
+    return html`<tr id="inspector-stream-${stream.id}">
+      <td>${stream.id}</td>
+      <td><code>${stream.method} ${stream.url}</code></td>
+      <td><code>${stream.route}</code></td>
+      <td>${new Date(stream.openedAt).toISOString()}</td>
+      <td>${stream.eventCount}</td>
+      <td>
+        <button ${dataOn('click', `$filter = '${stream.id}'`)}>Show events</button>
+        <button ${dataOn('click', `$target = '${stream.id}'`)}>Replay here</button>
+      </td>
+    </tr>`;
+  }
+
+  /**
+   * @param {CapturedEvent} event - Captured event
+   * @returns {import('./helpers').SafeHtml}
+   * @private
+   */
+  _renderEvent(event) {
+    let details;
+    if (event.changes) {
+      details = event.changes.length === 0
+        ? html`<em>no changes</em>`
+        : html`<pre>${event.changes.map((change) => {
+          return `${change.path}: ${formatValue(change.from)} → ${formatValue(change.to)}\n`;
+        })}</pre>`;
+    } else if (event.eventType === EventType.PatchElements) {
+      details = html`<code>${event.selector || '(by id)'} · ${event.mode}</code><pre>${event.preview}</pre>`;
+    } else {
+      details = html`<pre>${event.preview}</pre>`;
+    }
+
+    return html`<tr id="inspector-event-${event.id}" ${dataShow(`!$filter || $filter == '${event.streamId}'`)}>
+      <td>${event.id}</td>
+      <td>${event.streamId}</td>
+      <td>${new Date(event.time).toISOString().slice(11, 23)}</td>
+      <td>${event.eventType}${event.eventId !== undefined && html`<br><code>id ${event.eventId}</code>`}</td>
+      <td>${details}</td>
+      <td><button ${dataOn('click', `$replayEvent = ${event.id}; ${PostSSE(`${this.path}/replay`)}`)}>Replay</button></td>
+    </tr>`;
+  }
+}
+
+/**
+ * Register the inspector page and its feed and replay routes
+ * @param {import('fastify').FastifyInstance} fastify - Fastify instance
+ * @param {Inspector} inspector - The inspector
+ * @private
+ */
+function registerInspectorRoutes(fastify, inspector) {
+  fastify.get(inspector.path, async (request, reply) => {
+    reply.type('text/html; charset=utf-8');
+    return String(inspector.renderPage());
+  });
+
+  fastify.get(`${inspector.path}/feed`, async (request, reply) => {
+    inspector.openFeed(reply.datastarStream({ logEvents: false }));
+  });
+
+  fastify.post(`${inspector.path}/replay`, async (request, reply) => {
+    const { signals } = await request.readSignals();
+    const target = signals && signals.target ? Number(signals.target) : undefined;
+
+    await reply.datastar((sse) => {
+      try {
+        const { event, stream } = inspector.replay(Number(signals && signals.replayEvent), target);
+        sse.patchSignals({ status: `Replayed event ${event.id} to stream #${stream.id}` });
+      } catch (error) {
+        sse.patchSignals({ status: error.message });
+      }
+    });
+  });
+}
+
+module.exports = {
+  Inspector,
+  registerInspectorRoutes,
+};
@@ -0,0 +1,154 @@
+/**
+ * Structured logging of emitted SSE events
+ *
+ * With the `logEvents` option every event a stream writes is logged through
+ * `request.log` (debug level by default) with its type, selector, mode,
+ * signal keys, byte size and event id, so patches can be traced in the same
+ * pino pipeline as the request that sent them. Signal values are only logged
+ * when asked for, and values at configured paths are replaced before they
+ * reach the log.
+ *
+ * @module logging
+ */
+
+'use strict';
+
+const { EventType, DataLine, Defaults } = require('./constants');
+
+/**
+ * @typedef {Object} EventLogOptions
+ * @property {string} [level='debug'] - Log level of the event entries
+ * @property {boolean} [signals=false] - Log signal values too, not just the top-level keys
+ * @property {string[]} [redact=[]] - Dotted signal paths whose values are replaced with '[Redacted]' when signals are logged (`*` matches any key, e.g. '*.password')
+ */
+
+/**
+ * @typedef {Object} LoggedEvent
+ * @property {string} [eventId] - Event id sent with the event
+ * @property {Object} [signals] - Signals object of a patch-signals event
+ * @property {number} bytes - Size of the formatted event in bytes
+ */
+
+/** Replacement for redacted signal values */
+const CENSOR = '[Redacted]';
+
+/**
+ * Fill in the defaults of the logEvents option
+ * @param {boolean|EventLogOptions|undefined} option - Raw option value
+ * @returns {EventLogOptions|null} null when logging is disabled
+ * @private
+ */
+function normalizeEventLogOptions(option) {
+  if (!option) {
+    return null;
+  }
+  const opts = option === true ? {} : option;
+  return {
+    level: opts.level || 'debug',
+    signals: opts.signals === true,
+    redact: (opts.redact || []).map((path) => path.split('.')),
+  };
+}
+
+/**
+ * Copy signals, replacing the values at a path
+ * @param {*} value - Signals (or a nested value)
+ * @param {string[]} path - Remaining path segments
+ * @returns {*}
+ * @private
+ */
+function redactPath(value, path) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+
+  const [key, ...rest] = path;
+  const copy = { ...value };
+  for (const name of key === '*' ? Object.keys(copy) : [key]) {
+    if (!Object.prototype.hasOwnProperty.call(copy, name)) {
+      continue;
+    }
+    copy[name] = rest.length === 0 ? CENSOR : redactPath(copy[name], rest);
+  }
+  return copy;
+}
+
+/**
+ * Read the signals of a patch-signals event from its data lines, for events
+ * sent as JSON strings
+ * @param {string[]} dataLines - SSE data lines
+ * @returns {Object|undefined}
+ * @private
+ */
+function parseSignals(dataLines) {
+  const prefix = `${DataLine.Signals} `;
+  const json = dataLines
+    .filter((line) => line.startsWith(prefix))
+    .map((line) => line.slice(prefix.length))
+    .join('\n');
+  try {
+    return JSON.parse(json);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Value of a `key value` data line
+ * @param {string[]} dataLines - SSE data lines
+ * @param {string} key - Data line key
+ * @returns {string|undefined}
+ * @private
+ */
+function dataLineValue(dataLines, key) {
+  const prefix = `${key} `;
+  const line = dataLines.find((candidate) => candidate.startsWith(prefix));
+  return line === undefined ? undefined : line.slice(prefix.length);
+}
+
+/**
+ * Create the function a generator calls for every event it writes
+ * @param {import('fastify').FastifyBaseLogger} logger - The request's logger
+ * @param {EventLogOptions} options - Normalized options
+ * @returns {((eventType: string, dataLines: string[], event: LoggedEvent) => void)|null} null when the level is disabled
+ * @private
+ */
+function createEventLogger(logger, options) {
+  const { level, signals: logValues, redact } = options;
+  if (typeof logger[level] !== 'function'
+    || (typeof logger.isLevelEnabled === 'function' && !logger.isLevelEnabled(level))) {
+    return null;
+  }
+
+  return (eventType, dataLines, event) => {
+    const entry = { type: eventType, bytes: event.bytes };
+    if (event.eventId !== undefined) {
+      entry.eventId = event.eventId;
+    }
+
+    if (eventType === EventType.PatchElements) {
+      entry.selector = dataLineValue(dataLines, DataLine.Selector);
+      entry.mode = dataLineValue(dataLines, DataLine.Mode) || Defaults.PatchMode;
+    } else if (eventType === EventType.PatchSignals) {
+      let signals = event.signals || parseSignals(dataLines);
+      if (signals && typeof signals === 'object') {
+        entry.signalKeys = Object.keys(signals);
+        if (logValues) {
+          for (const path of redact) {
+            signals = redactPath(signals, path);
+          }
+          entry.signals = signals;
+        }
+      }
+    }
+
+    logger[level]({ datastarEvent: entry }, 'datastar event');
+  };
+}
+
+module.exports = {
+  normalizeEventLogOptions,
+  createEventLogger,
+  parseSignals,
+  dataLineValue,
+};
@@ -0,0 +1,204 @@
+/**
+ * Prometheus-style metrics for SSE connections and events
+ *
+ * Counts open connections, connection durations, events per type, bytes
+ * written and failed writes for every stream, labelled with the route
+ * pattern that opened it, and renders them in the Prometheus text exposition
+ * format. Served by the plugin at `/metrics` when the `metrics` option is
+ * enabled, or rendered with {@link DatastarMetrics#render} wherever you
+ * already expose metrics.
+ *
+ * @module metrics
+ */
+
+'use strict';
+
+const { EventType, Defaults } = require('./constants');
+
+/**
+ * @typedef {Object} MetricsOptions
+ * @property {string} [prefix='datastar_'] - Prefix of every metric name
+ * @property {number[]} [buckets] - Upper bounds in seconds of the connection duration histogram buckets
+ */
+
+/** Default connection duration buckets in seconds */
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 5, 15, 60, 300, 900, 3600];
+
+/** Event types counted under their own label; everything else is 'custom' */
+const KNOWN_EVENTS = new Set([EventType.PatchElements, EventType.PatchSignals]);
+
+/**
+ * Escape a label value for the text exposition format
+ * @param {string} value - Label value
+ * @returns {string}
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set
+ * @param {Object.<string, string>} labels - Label names and values
+ * @returns {string}
+ * @private
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Records the metrics of a single stream
+ * @private
+ */
+class StreamRecorder {
+  /**
+   * @param {Object} series - Per-route series of the registry
+   */
+  constructor(series) {
+    this._series = series;
+    this._startedAt = process.hrtime.bigint();
+    this._isClosed = false;
+    series.active++;
+    series.opened++;
+  }
+
+  /**
+   * Count an event written to the stream
+   * @param {string} eventType - SSE event type
+   */
+  event(eventType) {
+    const type = KNOWN_EVENTS.has(eventType) ? eventType : 'custom';
+    this._series.events.set(type, (this._series.events.get(type) || 0) + 1);
+  }
+
+  /**
+   * Count bytes handed to the connection
+   * @param {number} bytes - Number of bytes
+   */
+  written(bytes) {
+    this._series.bytes += bytes;
+  }
+
+  /**
+   * Count a failed write
+   */
+  writeError() {
+    this._series.writeErrors++;
+  }
+
+  /**
+   * Record the end of the connection (once)
+   */
+  close() {
+    if (this._isClosed) {
+      return;
+    }
+    this._isClosed = true;
+
+    const seconds = Number(process.hrtime.bigint() - this._startedAt) / 1e9;
+    const { duration } = this._series;
+    this._series.active--;
+    duration.sum += seconds;
+    duration.count++;
+    for (let i = 0; i < duration.bounds.length; i++) {
+      if (seconds <= duration.bounds[i]) {
+        duration.counts[i]++;
+      }
+    }
+  }
+}
+
+/**
+ * Registry of SSE connection and event metrics, per route
+ */
+class DatastarMetrics {
+  /**
+   * Create a new DatastarMetrics registry
+   * @param {MetricsOptions} [options={}] - Registry options
+   */
+  constructor(options = {}) {
+    this._prefix = options.prefix !== undefined ? options.prefix : Defaults.MetricsPrefix;
+    this._buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    /** @type {Map<string, Object>} */
+    this._series = new Map();
+  }
+
+  /**
+   * Start recording a stream opened by a route
+   * @param {string} route - Route pattern (e.g. '/todos/:id/feed')
+   * @returns {StreamRecorder}
+   */
+  track(route) {
+    let series = this._series.get(route);
+    if (!series) {
+      series = {
+        active: 0,
+        opened: 0,
+        duration: {
+          bounds: this._buckets,
+          counts: this._buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        },
+        events: new Map(),
+        bytes: 0,
+        writeErrors: 0,
+      };
+      this._series.set(route, series);
+    }
+    return new StreamRecorder(series);
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      const fullName = this._prefix + name;
+      lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`);
+      for (const [route, series] of this._series) {
+        samples(fullName, route, series);
+      }
+    };
+    const sample = (name, labels, value) => {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
+    };
+
+    metric('sse_connections_active', 'gauge', 'Open SSE connections.', (name, route, series) => {
+      sample(name, { route }, series.active);
+    });
+    metric('sse_connections_total', 'counter', 'SSE connections opened.', (name, route, series) => {
+      sample(name, { route }, series.opened);
+    });
+    metric('sse_connection_duration_seconds', 'histogram', 'Duration of closed SSE connections.', (name, route, series) => {
+      const { duration } = series;
+      duration.bounds.forEach((bound, i) => {
+        sample(`${name}_bucket`, { route, le: String(bound) }, duration.counts[i]);
+      });
+      sample(`${name}_bucket`, { route, le: '+Inf' }, duration.count);
+      sample(`${name}_sum`, { route }, duration.sum);
+      sample(`${name}_count`, { route }, duration.count);
+    });
+    metric('sse_events_total', 'counter', 'SSE events sent, by event type.', (name, route, series) => {
+      for (const [type, count] of series.events) {
+        sample(name, { route, type }, count);
+      }
+    });
+    metric('sse_bytes_written_total', 'counter', 'Bytes of SSE text written to connections.', (name, route, series) => {
+      sample(name, { route }, series.bytes);
+    });
+    metric('sse_write_errors_total', 'counter', 'Failed writes to SSE connections.', (name, route, series) => {
+      sample(name, { route }, series.writeErrors);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  DatastarMetrics,
+};
@@ -10,12 +10,50 @@
 
 const fp = require('fastify-plugin');
 const { ServerSentEventGenerator } = require('./sse');
-const { readSignals, isDatastarRequest } = require('./signals');
-const { Headers, Defaults } = require('./constants');
+const { readSignals, isDatastarRequest, schemaFields } = require('./signals');
+const { DatastarHub } = require('./hub');
+const { registerFormParsers } = require('./forms');
+const { ReplayStore } = require('./replay');
+const { RouteRegistry } = require('./routes');
+const { normalizeClientErrorOptions, handleStreamError } = require('./errors');
+const { chooseFallback, renderFallback } = require('./fallback');
+const { appendQuery, routeAction } = require('./helpers');
+const { normalizeShutdownOptions, StreamTracker } = require('./shutdown');
+const { DatastarMetrics } = require('./metrics');
+const { normalizeEventLogOptions, createEventLogger } = require('./logging');
+const { Inspector, registerInspectorRoutes } = require('./inspector');
+const {
+  normalizeCompressionOptions,
+  negotiateEncoding,
+  createCompressor,
+} = require('./compression');
+const { Headers, Defaults, SignalsErrorCode } = require('./constants');
+
+/** Request property holding the signals the preHandler read, for readSignals() to reuse */
+const kSignalsResult = Symbol('datastar.signalsResult');
 
 /**
  * @typedef {Object} DatastarPluginOptions
  * @property {number} [defaultRetryDuration=1000] - Default SSE retry duration in ms
+ * @property {boolean|import('./compression').CompressionOptions} [compression=false] - Compress SSE responses with per-event flushing
+ * @property {import('./adapters').HubAdapter} [hubAdapter] - Pub/sub adapter so `fastify.datastarHub` publishes reach other processes
+ * @property {boolean|import('./replay').ReplayStoreOptions|ReplayStore} [replay=false] - Enable Last-Event-ID replay for streams opened with a `replayKey`
+ * @property {number} [heartbeatInterval=0] - Write a `: ping` comment every N ms on every stream (0 disables)
+ * @property {import('./sse').BackpressureOptions} [backpressure] - How streams handle slow clients (default: block at 1 MiB, disconnect past 4 MiB)
+ * @property {boolean} [batch=false] - Buffer each stream's events until the end of the microtask and write them at once
+ * @property {import('./signals').SignalLimits} [signalLimits] - Size/shape limits and unsafe-key handling for signal payloads
+ * @property {boolean|import('./forms').FormLimits} [forms=true] - Register form-encoded and multipart content-type parsers (with these limits); false to skip
+ * @property {false|import('./errors').ClientErrorOptions} [clientErrors] - How errors thrown in reply.datastar callbacks are shown to the client (default: a `datastarError` signal); false to only log them
+ * @property {import('./fallback').FallbackOptions} [fallback] - Answer non-Datastar requests to reply.datastar routes with an HTML page or JSON instead of SSE
+ * @property {false|import('./shutdown').ShutdownOptions} [shutdown] - How open streams are ended when the app closes; false leaves them open
+ * @property {boolean|MetricsPluginOptions|DatastarMetrics} [metrics=false] - Record connection and event metrics (available as `fastify.datastarMetrics`) and serve them in the Prometheus text format
+ * @property {boolean|import('./logging').EventLogOptions} [logEvents=false] - Log every emitted event through request.log (debug level by default)
+ * @property {boolean|import('./inspector').InspectorOptions} [inspector=false] - Serve the development inspector page listing live streams and their events (ignored unless NODE_ENV is 'development')
+ */
+
+/**
+ * @typedef {import('./metrics').MetricsOptions & { route?: string|false }} MetricsPluginOptions
+ * `route` is the path the metrics are served at ('/metrics'); false registers no route
  */
 
 /**
@@ -23,28 +61,125 @@ const { Headers, Defaults } = require('./constants');
  * @property {Function} [onError] - Error callback
  * @property {Function} [onAbort] - Connection abort callback
  * @property {boolean} [keepAlive=false] - Keep stream open after callback
+ * @property {boolean|import('./compression').CompressionOptions} [compression] - Override the plugin's compression setting for this stream
+ * @property {string[]} [topics] - datastarStream only: register the stream with `fastify.datastarHub` under these topics
+ * @property {Object} [meta] - datastarStream only: hub connection metadata used by publish filters
+ * @property {number} [heartbeatInterval] - Override the plugin's heartbeat interval for this stream (0 disables)
+ * @property {import('./sse').BackpressureOptions} [backpressure] - Override the plugin's backpressure options for this stream
+ * @property {boolean} [batch] - Override the plugin's batching setting for this stream
+ * @property {string} [replayKey] - Key identifying this logical stream across reconnects; enables event ids and Last-Event-ID replay (requires the plugin's `replay` option)
+ * @property {false|import('./errors').ClientErrorOptions} [clientErrors] - datastar only: override the plugin's clientErrors option for this stream
+ * @property {false|import('./fallback').FallbackOptions} [fallback] - datastar only: override the plugin's fallback option for this route; false to always stream
+ * @property {boolean|import('./logging').EventLogOptions} [logEvents] - Override the plugin's logEvents option for this stream
  */
 
+/**
+ * @typedef {Object} StreamSettings
+ * @property {number} retryDuration - Retry duration in ms
+ * @property {import('./compression').CompressionOptions|null} compression - Normalized compression options, or null
+ * @property {{ store: ReplayStore, key: string }|null} replay - Replay store and stream key, or null
+ * @property {number} heartbeatInterval - Heartbeat interval in ms (0 disables)
+ * @property {Function} [onAbort] - Connection abort callback
+ * @property {import('./sse').BackpressureOptions} [backpressure] - Backpressure options
+ * @property {boolean} batch - Whether to batch events per microtask
+ * @property {DatastarMetrics|null} metrics - Metrics registry, or null
+ * @property {import('./logging').EventLogOptions|null} logEvents - Event logging options, or null
+ * @property {Inspector|null} inspector - Inspector recording the stream, or null
+ * @private
+ */
+
+/**
+ * Signal read failures the plugin answers itself (413/400) for Datastar requests
+ * @private
+ */
+const REJECTED_SIGNAL_ERRORS = new Set([
+  SignalsErrorCode.PayloadTooLarge,
+  SignalsErrorCode.LimitExceeded,
+  SignalsErrorCode.UnsafePayload,
+]);
+
 /**
  * Initialize an SSE stream on the Fastify reply
  * @param {import('fastify').FastifyReply} reply - Fastify reply
- * @param {number} retryDuration - Retry duration in ms
+ * @param {StreamSettings} settings - Stream settings
  * @returns {ServerSentEventGenerator}
  * @private
  */
-function initializeSSEStream(reply, retryDuration) {
-  // Set SSE headers
-  reply.raw.writeHead(200, {
+function initializeSSEStream(reply, settings) {
+  const headers = {
     'Content-Type': Headers.ContentTypeSSE,
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'X-Accel-Buffering': 'no', // Disable nginx buffering
+  };
+
+  let compressor = null;
+  if (settings.compression) {
+    const encoding = negotiateEncoding(
+      reply.request.headers[Headers.AcceptEncoding],
+      settings.compression
+    );
+    headers['Vary'] = 'Accept-Encoding';
+
+    if (encoding) {
+      headers['Content-Encoding'] = encoding;
+      compressor = createCompressor(encoding, settings.compression);
+      compressor.stream.pipe(reply.raw);
+      // Stop compressing once the client has gone away
+      reply.raw.on('close', () => compressor.stream.destroy());
+    }
+  }
+
+  // Set SSE headers
+  reply.raw.writeHead(200, headers);
+
+  // Connection metrics are labelled with the route pattern, not the URL
+  let metrics = null;
+  if (settings.metrics) {
+    metrics = settings.metrics.track(reply.request.routeOptions.url || '');
+    reply.raw.once('close', () => metrics.close());
+  }
+
+  // Observers of every event written: structured logging and the inspector
+  const observers = [];
+  const logEvent = settings.logEvents ? createEventLogger(reply.request.log, settings.logEvents) : null;
+  if (logEvent) {
+    observers.push(logEvent);
+  }
+  const inspected = settings.inspector ? settings.inspector.open(reply) : null;
+  if (inspected) {
+    observers.push(inspected.capture);
+  }
+
+  const sse = new ServerSentEventGenerator(reply, {
+    compressor,
+    replay: settings.replay,
+    heartbeatInterval: settings.heartbeatInterval,
+    onAbort: settings.onAbort,
+    backpressure: settings.backpressure,
+    batch: settings.batch,
+    metrics,
+    onEvent: observers.length === 0 ? null : (eventType, dataLines, event) => {
+      for (const observe of observers) {
+        observe(eventType, dataLines, event);
+      }
+    },
   });
 
+  if (inspected) {
+    inspected.sse = sse;
+  }
+
   // Send initial retry duration
-  reply.raw.write(`retry: ${retryDuration}\n\n`);
+  sse._write(`retry: ${settings.retryDuration}\n\n`);
+
+  // Resuming after a reconnect: send what the client missed before live output
+  const lastEventId = reply.request.headers[Headers.LastEventID];
+  if (settings.replay && lastEventId) {
+    sse._replaySince(lastEventId);
+  }
 
-  return new ServerSentEventGenerator(reply);
+  return sse;
 }
 
 /**
@@ -52,6 +187,12 @@ function initializeSSEStream(reply, retryDuration) {
  * 
  * Adds the following decorators:
  * 
+ * Instance decorators:
+ * - `fastify.datastarHub` - Broadcast hub for fanning out events to open streams
+ * - `fastify.datastarUrl(name, params, query)` - Build the URL of a named route
+ * - `fastify.datastarAction(method, name, params, options)` - Build the action for a named route
+ * - `fastify.datastarMetrics` - Connection and event metrics (null unless enabled)
+ * 
  * Request decorators:
  * - `request.readSignals()` - Read Datastar signals from the request
  * - `request.isDatastarRequest()` - Check if this is a Datastar request
@@ -66,6 +207,155 @@ function initializeSSEStream(reply, retryDuration) {
  */
 function datastarPlugin(fastify, options, done) {
   const defaultRetryDuration = options.defaultRetryDuration || Defaults.SSERetryDuration;
+  const defaultCompression = normalizeCompressionOptions(options.compression);
+  const defaultHeartbeatInterval = options.heartbeatInterval || 0;
+  const signalLimits = options.signalLimits || {};
+  const clientErrors = normalizeClientErrorOptions(options.clientErrors);
+  const logEvents = normalizeEventLogOptions(options.logEvents);
+
+  let replayStore = null;
+  if (options.replay instanceof ReplayStore) {
+    replayStore = options.replay;
+  } else if (options.replay) {
+    replayStore = new ReplayStore(options.replay === true ? {} : options.replay);
+  }
+
+  let metrics = null;
+  let metricsRoute = false;
+  if (options.metrics instanceof DatastarMetrics) {
+    metrics = options.metrics;
+    metricsRoute = Defaults.MetricsRoute;
+  } else if (options.metrics) {
+    const metricsOptions = options.metrics === true ? {} : options.metrics;
+    metrics = new DatastarMetrics(metricsOptions);
+    metricsRoute = metricsOptions.route !== undefined ? metricsOptions.route : Defaults.MetricsRoute;
+  }
+
+  // The inspector shows (and replays) everything streams send, without any
+  // authentication: only serve it when NODE_ENV says development outright
+  let inspector = null;
+  if (options.inspector && process.env.NODE_ENV !== 'development') {
+    fastify.log.warn('datastar inspector is only served when NODE_ENV is development');
+  } else if (options.inspector) {
+    inspector = new Inspector(options.inspector === true ? {} : options.inspector);
+  }
+
+  /**
+   * Resolve the settings for a single stream from plugin and stream options
+   * @param {StreamOptions} streamOptions - Stream options
+   * @returns {StreamSettings}
+   */
+  function resolveStreamSettings(streamOptions) {
+    let replay = null;
+    if (streamOptions.replayKey !== undefined) {
+      if (!replayStore) {
+        throw new Error('replayKey requires the datastar plugin to be registered with the replay option');
+      }
+      replay = { store: replayStore, key: streamOptions.replayKey };
+    }
+
+    return {
+      retryDuration: defaultRetryDuration,
+      compression: streamOptions.compression !== undefined
+        ? normalizeCompressionOptions(streamOptions.compression)
+        : defaultCompression,
+      replay,
+      heartbeatInterval: streamOptions.heartbeatInterval !== undefined
+        ? streamOptions.heartbeatInterval
+        : defaultHeartbeatInterval,
+      onAbort: streamOptions.onAbort,
+      backpressure: { ...options.backpressure, ...streamOptions.backpressure },
+      batch: streamOptions.batch !== undefined ? streamOptions.batch : Boolean(options.batch),
+      metrics,
+      logEvents: streamOptions.logEvents !== undefined
+        ? normalizeEventLogOptions(streamOptions.logEvents)
+        : logEvents,
+      inspector,
+    };
+  }
+
+  // Broadcast hub shared by every stream on this instance
+  const hub = new DatastarHub({ adapter: options.hubAdapter, logger: fastify.log });
+  fastify.decorate('datastarHub', hub);
+  fastify.addHook('onClose', async () => {
+    await hub.close();
+  });
+
+  // Open streams would keep fastify.close() waiting forever. Fastify closes
+  // the HTTP server (and waits for its connections) before running onClose
+  // hooks, so the streams are ended in preClose instead.
+  const streams = new StreamTracker();
+  if (options.shutdown !== false) {
+    const shutdown = normalizeShutdownOptions(options.shutdown);
+    fastify.addHook('preClose', async () => {
+      await streams.drain(shutdown, fastify.log);
+    });
+  }
+
+  /**
+   * Initialize an SSE stream and track it for graceful shutdown
+   * @param {import('fastify').FastifyReply} reply - Fastify reply
+   * @param {StreamOptions} streamOptions - Stream options
+   * @returns {ServerSentEventGenerator}
+   */
+  function openStream(reply, streamOptions) {
+    const sse = initializeSSEStream(reply, resolveStreamSettings(streamOptions));
+    streams.add(sse);
+    return sse;
+  }
+
+  // Connection and event metrics, in the Prometheus text exposition format
+  fastify.decorate('datastarMetrics', metrics);
+  if (metricsRoute) {
+    fastify.get(metricsRoute, async (request, reply) => {
+      reply.type('text/plain; version=0.0.4; charset=utf-8');
+      return metrics.render();
+    });
+  }
+
+  // Development inspector page, with its feed and replay routes
+  if (inspector) {
+    registerInspectorRoutes(fastify, inspector);
+  }
+
+  // Named routes for fastify.datastarUrl() and fastify.datastarAction()
+  const routes = new RouteRegistry();
+  fastify.decorate('datastarRoutes', routes);
+  fastify.addHook('onRoute', (routeOptions) => {
+    const name = routeOptions.config && routeOptions.config.datastarName;
+    if (name) {
+      routes.add(name, routeOptions.url);
+    }
+  });
+
+  /**
+   * Build the URL of a route registered with `config: { datastarName }`
+   * @param {string} name - Route name
+   * @param {Object.<string, *>} [params={}] - Path params
+   * @param {Object.<string, *>} [query] - Query parameters
+   * @returns {string}
+   */
+  fastify.decorate('datastarUrl', (name, params = {}, query) => {
+    return appendQuery(routes.resolve(name, params), query);
+  });
+
+  /**
+   * Build the Datastar action for a route registered with
+   * `config: { datastarName }`
+   * @param {'get'|'post'|'put'|'patch'|'delete'} method - HTTP method of the action
+   * @param {string} name - Route name
+   * @param {Object.<string, *>} [params={}] - Path params
+   * @param {import('./helpers').ActionOptions} [actionOptions] - Action options, including `query`
+   * @returns {string}
+   */
+  fastify.decorate('datastarAction', (method, name, params = {}, actionOptions) => {
+    return routeAction(method, routes.resolve(name, params), actionOptions);
+  });
+
+  // Parse `contentType: 'form'` submissions (urlencoded and multipart)
+  if (options.forms !== false) {
+    registerFormParsers(fastify, options.forms === true ? {} : options.forms);
+  }
 
   // Decorate request with signal reading methods
   fastify.decorateRequest('readSignals', null);
@@ -78,11 +368,18 @@ function datastarPlugin(fastify, options, done) {
   // Add request decorators via hook
   fastify.addHook('onRequest', async (request, reply) => {
     /**
-     * Read Datastar signals from the request
+     * Read Datastar signals from the request, validating them against the
+     * route's `config.signals` schema when one is declared. Without read
+     * options, the result the preHandler already read is returned.
+     * @param {import('./signals').ReadSignalsOptions} [readOptions={}] - Read options
      * @returns {Promise<import('./signals').ReadSignalsResult>}
      */
-    request.readSignals = function () {
-      return readSignals(this);
+    request.readSignals = function (readOptions = {}) {
+      if (this[kSignalsResult] && Object.keys(readOptions).length === 0) {
+        return this[kSignalsResult];
+      }
+      const config = this.routeOptions.config || {};
+      return readSignals(this, { schema: config.signals, limits: signalLimits, ...readOptions });
     };
 
     /**
@@ -94,25 +391,81 @@ function datastarPlugin(fastify, options, done) {
     };
   });
 
+  // Datastar requests whose signals are oversized or unsafe are rejected
+  // with 413/400 before the handler runs. Routes declaring both
+  // `config.signals` and `config.signalsErrorPath` also answer invalid
+  // signals themselves by patching the field errors into that signal path;
+  // the route handler only runs for valid signals. Every field the schema
+  // declares is patched, so errors shown for fields that have since become
+  // valid are cleared (AJV stops at the first error by default).
+  fastify.addHook('preHandler', async (request, reply) => {
+    const config = request.routeOptions.config || {};
+    const patchErrors = Boolean(config.signals && config.signalsErrorPath);
+    if (!patchErrors && !request.isDatastarRequest()) {
+      return;
+    }
+
+    request[kSignalsResult] = request.readSignals();
+    const result = await request[kSignalsResult];
+    if (result.success) {
+      return;
+    }
+
+    if (REJECTED_SIGNAL_ERRORS.has(result.code)) {
+      reply.code(result.statusCode).send({ error: result.error, code: result.code });
+      return reply;
+    }
+
+    if (patchErrors && result.code === SignalsErrorCode.ValidationFailed) {
+      await reply.datastar((sse) => {
+        sse.patchValidationErrors(result, {
+          signalPath: config.signalsErrorPath,
+          fields: schemaFields(config.signals),
+        });
+      });
+      return reply;
+    }
+  });
+
   // Add reply decorators via hook
   fastify.addHook('onRequest', async (request, reply) => {
     /**
      * Start an SSE stream for Datastar responses
-     * The stream is automatically closed after the callback completes
+     * The stream is automatically closed after the callback completes.
+     * Errors thrown by the callback are passed to `onError`, run through
+     * the route's Fastify error handler (which logs them by default) and
+     * shown to the client according to the `clientErrors` option.
+     * With the `fallback` option, requests that aren't Datastar requests
+     * get an HTML page or JSON rendered from the callback's patches.
      * 
      * @param {Function} callback - Callback that receives the SSE generator
      * @param {StreamOptions} [streamOptions={}] - Stream options
      * @returns {Promise<void>}
      */
     reply.datastar = async function (callback, streamOptions = {}) {
-      const sse = initializeSSEStream(this, defaultRetryDuration);
+      // Browsers, curl and API clients get a page or JSON when configured
+      const fallback = streamOptions.fallback !== undefined ? streamOptions.fallback : options.fallback;
+      if (fallback && !this.request.isDatastarRequest()) {
+        const kind = chooseFallback(this.request, fallback);
+        if (kind) {
+          await renderFallback(kind, this, callback, fallback);
+          return;
+        }
+      }
+
+      const sse = openStream(this, streamOptions);
 
       try {
         await callback(sse);
-      } catch (error) {
-        if (streamOptions.onError && error instanceof Error) {
+      } catch (thrown) {
+        const error = thrown instanceof Error ? thrown : new Error(String(thrown));
+        if (streamOptions.onError) {
           streamOptions.onError(error);
         }
+        const errorOptions = streamOptions.clientErrors !== undefined
+          ? normalizeClientErrorOptions(streamOptions.clientErrors)
+          : clientErrors;
+        await handleStreamError(error, this, sse, errorOptions);
       } finally {
         if (!streamOptions.keepAlive) {
           sse.close();
@@ -128,15 +481,21 @@ function datastarPlugin(fastify, options, done) {
      * @returns {ServerSentEventGenerator}
      */
     reply.datastarStream = function (streamOptions = {}) {
-      const sse = initializeSSEStream(this, defaultRetryDuration);
+      const sse = openStream(this, streamOptions);
 
-      // Handle connection abort
+      // Handle connection abort (stops the heartbeat and fires onAbort once)
       this.raw.on('close', () => {
-        if (streamOptions.onAbort) {
-          streamOptions.onAbort();
-        }
+        sse._abort();
       });
 
+      // Join broadcast topics (removed from the hub automatically on close)
+      if (streamOptions.topics || streamOptions.meta) {
+        fastify.datastarHub.register(sse, {
+          topics: streamOptions.topics,
+          meta: streamOptions.meta,
+        });
+      }
+
       return sse;
     };
   });
@@ -0,0 +1,149 @@
+/**
+ * Event replay for Last-Event-ID resumption
+ *
+ * Keeps a ring buffer of recent Datastar events per stream key and assigns
+ * every event a monotonically increasing id. When the browser reconnects
+ * after a dropped connection it sends the last id it saw in the
+ * `Last-Event-ID` header, and the missed events are replayed before live
+ * output resumes.
+ *
+ * @module replay
+ */
+
+'use strict';
+
+const { EventType } = require('./constants');
+
+/**
+ * @typedef {Object} ReplayStoreOptions
+ * @property {number} [maxSize=100] - Maximum events buffered per stream key
+ * @property {number} [ttl=60000] - Time in ms an event stays replayable
+ */
+
+/**
+ * @typedef {Object} ReplayEvent
+ * @property {string} id - Assigned event id
+ * @property {string} eventType - SSE event type
+ * @property {string[]} dataLines - SSE data lines
+ * @property {number} [retryDuration] - Retry duration sent with the event
+ * @property {number} timestamp - Time the event was recorded
+ */
+
+/** Event types that are buffered for replay */
+const REPLAYABLE_EVENTS = new Set([EventType.PatchElements, EventType.PatchSignals]);
+
+/**
+ * In-memory ring buffer of events per stream key
+ */
+class ReplayStore {
+  /**
+   * Create a new ReplayStore
+   * @param {ReplayStoreOptions} [options={}] - Store options
+   */
+  constructor(options = {}) {
+    this._maxSize = options.maxSize || 100;
+    this._ttl = options.ttl || 60000;
+    this._lastId = 0;
+    this._lastSweep = Date.now();
+    /** @type {Map<string, ReplayEvent[]>} */
+    this._buffers = new Map();
+  }
+
+  /**
+   * Assign the next id to an event, buffering it when it is a Datastar
+   * patch event
+   * @param {string} key - Stream key
+   * @param {string} eventType - SSE event type
+   * @param {string[]} dataLines - SSE data lines
+   * @param {{ retryDuration?: number }} [options={}] - Event options
+   * @returns {string} The assigned event id
+   */
+  record(key, eventType, dataLines, options = {}) {
+    const id = String(++this._lastId);
+
+    if (REPLAYABLE_EVENTS.has(eventType)) {
+      let buffer = this._buffers.get(key);
+      if (!buffer) {
+        buffer = [];
+        this._buffers.set(key, buffer);
+      }
+
+      buffer.push({
+        id,
+        eventType,
+        dataLines,
+        retryDuration: options.retryDuration,
+        timestamp: Date.now(),
+      });
+      if (buffer.length > this._maxSize) {
+        buffer.shift();
+      }
+    }
+
+    this._sweepIfDue();
+    return id;
+  }
+
+  /**
+   * Get the buffered events recorded after the given id
+   * @param {string} key - Stream key
+   * @param {string} lastEventId - Last event id the client received
+   * @returns {ReplayEvent[]}
+   */
+  since(key, lastEventId) {
+    const lastId = Number(lastEventId);
+    if (!Number.isFinite(lastId)) {
+      return [];
+    }
+
+    this._prune(key);
+    const buffer = this._buffers.get(key) || [];
+    return buffer.filter((event) => Number(event.id) > lastId);
+  }
+
+  /**
+   * Drop every buffered event for a stream key
+   * @param {string} key - Stream key
+   */
+  clear(key) {
+    this._buffers.delete(key);
+  }
+
+  /**
+   * Remove expired events for a key, dropping the key when empty
+   * @param {string} key - Stream key
+   * @private
+   */
+  _prune(key) {
+    const buffer = this._buffers.get(key);
+    if (!buffer) {
+      return;
+    }
+
+    const cutoff = Date.now() - this._ttl;
+    while (buffer.length > 0 && buffer[0].timestamp < cutoff) {
+      buffer.shift();
+    }
+    if (buffer.length === 0) {
+      this._buffers.delete(key);
+    }
+  }
+
+  /**
+   * Prune every key at most once per TTL so idle keys don't accumulate
+   * @private
+   */
+  _sweepIfDue() {
+    const now = Date.now();
+    if (now - this._lastSweep < this._ttl) {
+      return;
+    }
+
+    this._lastSweep = now;
+    for (const key of Array.from(this._buffers.keys())) {
+      this._prune(key);
+    }
+  }
+}
+
+module.exports = { ReplayStore };
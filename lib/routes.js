@@ -0,0 +1,115 @@
+/**
+ * Named routes for Datastar action helpers
+ *
+ * Routes registered with `config: { datastarName }` are recorded here so
+ * templates can refer to them by name instead of hard-coding paths:
+ * `fastify.datastarAction('post', 'todos.toggle', { id })` and
+ * `fastify.datastarUrl('todos.toggle', { id })` both build the URL from the
+ * registered route pattern.
+ *
+ * Each app gets its own registry (`fastify.datastarRoutes`), so apps running
+ * in the same process, one after another or at the same time, don't share
+ * names.
+ *
+ * @module routes
+ */
+
+'use strict';
+
+/**
+ * Fastify path parameters: `:name`, optionally with a regex and/or `?`
+ * (`::` is an escaped literal colon)
+ * @private
+ */
+const PARAM_PATTERN = /::|:([A-Za-z0-9_$]+)(\([^)]*\))?(\?)?|\*/g;
+
+/**
+ * Strip a trailing slash so `/todos` and `/todos/` count as the same route
+ * @param {string} url - Route URL
+ * @returns {string}
+ * @private
+ */
+function withoutTrailingSlash(url) {
+  return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url;
+}
+
+/**
+ * Registry mapping route names to Fastify route patterns
+ */
+class RouteRegistry {
+  constructor() {
+    /** @type {Map<string, string>} */
+    this._routes = new Map();
+  }
+
+  /**
+   * Record a named route
+   * @param {string} name - Route name
+   * @param {string} url - Fastify route pattern (including any prefix)
+   * @throws {Error} If the name is already used by a different route
+   */
+  add(name, url) {
+    const existing = this._routes.get(name);
+    if (existing === undefined) {
+      this._routes.set(name, url);
+      return;
+    }
+    if (withoutTrailingSlash(existing) !== withoutTrailingSlash(url)) {
+      throw new Error(`Datastar route name "${name}" is used by both ${existing} and ${url}`);
+    }
+  }
+
+  /**
+   * Check whether a route name is registered
+   * @param {string} name - Route name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this._routes.has(name);
+  }
+
+  /**
+   * Build the path of a named route, URI-encoding the params
+   * @param {string} name - Route name
+   * @param {Object.<string, *>} [params={}] - Path params (`'*'` for a wildcard)
+   * @returns {string}
+   * @throws {Error} If the name is unknown or a required param is missing
+   */
+  resolve(name, params = {}) {
+    const url = this._routes.get(name);
+    if (url === undefined) {
+      throw new Error(`Unknown Datastar route name "${name}"`);
+    }
+
+    const path = url.replace(PARAM_PATTERN, (match, param, regex, optional) => {
+      if (match === '::') {
+        return ':';
+      }
+
+      const key = match === '*' ? '*' : param;
+      const value = params[key];
+      if (value === undefined || value === null) {
+        if (optional || match === '*') {
+          return '';
+        }
+        throw new Error(`Datastar route "${name}" (${url}) is missing param "${key}"`);
+      }
+
+      return match === '*' ? encodeURI(String(value)) : encodeURIComponent(String(value));
+    });
+
+    // An omitted optional last param leaves a trailing slash behind
+    return url.endsWith('?') ? withoutTrailingSlash(path) : path;
+  }
+
+  /**
+   * Forget every route
+   */
+  clear() {
+    this._routes.clear();
+  }
+}
+
+module.exports = {
+  RouteRegistry,
+};
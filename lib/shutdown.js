@@ -0,0 +1,146 @@
+/**
+ * Graceful shutdown of open SSE streams
+ *
+ * Open streams keep their connections busy, so `fastify.close()` would wait
+ * on them forever (the HTTP server only closes once every connection has
+ * ended), and forcing the sockets shut gives the browser no hint about what
+ * happened. The plugin therefore tracks every live generator and, when the
+ * app closes, optionally sends each one a final event (typically a
+ * "reconnecting" signal with a short retry so the client moves to another
+ * instance), ends the stream, and destroys whatever hasn't finished within
+ * the grace period.
+ *
+ * @module shutdown
+ */
+
+'use strict';
+
+const { Defaults } = require('./constants');
+
+/**
+ * @typedef {Object} ShutdownOptions
+ * @property {number} [gracePeriod=5000] - Time in ms ended streams get to finish writing before their connections are destroyed
+ * @property {Object|((sse: import('./sse').ServerSentEventGenerator) => void)} [finalEvent] - Signals to patch into, or a function sending events to, every stream before it is ended
+ * @property {number} [retryDuration] - Retry duration in ms sent before the final event, so clients reconnect sooner
+ */
+
+/**
+ * Fill in the defaults of the shutdown option
+ * @param {ShutdownOptions|undefined} option - Raw option value
+ * @returns {ShutdownOptions}
+ * @private
+ */
+function normalizeShutdownOptions(option) {
+  const opts = option || {};
+  return {
+    gracePeriod: opts.gracePeriod !== undefined ? opts.gracePeriod : Defaults.ShutdownGracePeriod,
+    finalEvent: opts.finalEvent,
+    retryDuration: opts.retryDuration,
+  };
+}
+
+/**
+ * Set of the generators whose connections are still open
+ */
+class StreamTracker {
+  constructor() {
+    /** @type {Set<import('./sse').ServerSentEventGenerator>} */
+    this._streams = new Set();
+  }
+
+  /**
+   * Number of open streams
+   * @returns {number}
+   */
+  get size() {
+    return this._streams.size;
+  }
+
+  /**
+   * Track a generator until its connection closes
+   * @param {import('./sse').ServerSentEventGenerator} sse - The stream
+   */
+  add(sse) {
+    this._streams.add(sse);
+    sse.reply.raw.once('close', () => {
+      this._streams.delete(sse);
+    });
+  }
+
+  /**
+   * Iterate over the open streams
+   * @returns {Iterator<import('./sse').ServerSentEventGenerator>}
+   */
+  [Symbol.iterator]() {
+    return this._streams.values();
+  }
+
+  /**
+   * Send the final event to every open stream, end them, and destroy the
+   * connections still open after the grace period
+   * @param {ShutdownOptions} options - Normalized options
+   * @param {import('fastify').FastifyBaseLogger} [logger] - Logger for failures
+   * @returns {Promise<void>}
+   */
+  async drain(options, logger) {
+    const streams = [...this._streams];
+    if (streams.length === 0) {
+      return;
+    }
+
+    const closed = streams.map((sse) => new Promise((resolve) => {
+      sse.reply.raw.once('close', resolve);
+    }));
+
+    for (const sse of streams) {
+      if (!sse.isClosed) {
+        try {
+          sendFinalEvent(sse, options);
+        } catch (error) {
+          if (logger) {
+            logger.error({ err: error }, 'datastar shutdown final event failed');
+          }
+        }
+      }
+      sse.close();
+    }
+
+    let timer;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(resolve, options.gracePeriod);
+    });
+    await Promise.race([Promise.all(closed), expired]);
+    clearTimeout(timer);
+
+    if (this._streams.size > 0) {
+      if (logger) {
+        logger.warn({ streams: this._streams.size }, 'datastar streams did not finish within the shutdown grace period');
+      }
+      for (const sse of this._streams) {
+        sse._disconnect();
+      }
+    }
+  }
+}
+
+/**
+ * Write the retry duration and final event of a shutdown to a stream
+ * @param {import('./sse').ServerSentEventGenerator} sse - The stream
+ * @param {ShutdownOptions} options - Normalized options
+ * @private
+ */
+function sendFinalEvent(sse, options) {
+  if (options.retryDuration !== undefined) {
+    sse._output(`retry: ${options.retryDuration}\n\n`);
+  }
+  if (typeof options.finalEvent === 'function') {
+    options.finalEvent(sse);
+  } else if (options.finalEvent) {
+    sse.patchSignals(options.finalEvent);
+  }
+}
+
+module.exports = {
+  normalizeShutdownOptions,
+  StreamTracker,
+};
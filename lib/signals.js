@@ -5,26 +5,104 @@
 
 'use strict';
 
-const { Headers } = require('./constants');
+const { Headers, Defaults, SignalsErrorCode } = require('./constants');
+const { kFiles } = require('./forms');
+
+/** HTTP status code the plugin answers each read failure with */
+const statusCodes = {
+  [SignalsErrorCode.InvalidJSON]: 400,
+  [SignalsErrorCode.ValidationFailed]: 400,
+  [SignalsErrorCode.PayloadTooLarge]: 413,
+  [SignalsErrorCode.LimitExceeded]: 400,
+  [SignalsErrorCode.UnsafePayload]: 400,
+};
+
+/**
+ * Error raised while parsing signals, carrying its SignalsErrorCode
+ * @private
+ */
+class SignalsError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * @typedef {Object} SignalValidationError
+ * @property {string} path - Dotted path of the offending signal (e.g. 'user.email')
+ * @property {string} message - Validator message
+ * @property {string} keyword - JSON Schema keyword that failed
+ */
 
 /**
  * @typedef {Object} ReadSignalsResult
  * @property {boolean} success - Whether signals were read successfully
  * @property {Object} [signals] - The parsed signals
  * @property {string} [error] - Error message if failed
+ * @property {string} [code] - Error code if failed (see SignalsErrorCode)
+ * @property {number} [statusCode] - HTTP status code matching the error (413 for PAYLOAD_TOO_LARGE, else 400)
+ * @property {SignalValidationError[]} [validationErrors] - Schema violations when code is VALIDATION_FAILED
+ * @property {Object.<string, string>} [fieldErrors] - First violation message per signal path when code is VALIDATION_FAILED
+ * @property {import('./forms').UploadedFile[]} [files] - Files uploaded with a multipart/form-data submission
+ */
+
+/**
+ * @typedef {Object} SignalLimits
+ * @property {number} [maxBytes=1048576] - Maximum payload size in bytes
+ * @property {number} [maxDepth=32] - Maximum nesting depth of objects and arrays
+ * @property {number} [maxKeys=10000] - Maximum number of object keys and array items across the payload
+ * @property {('error'|'remove')} [protoAction='error'] - What to do with `__proto__` keys
+ * @property {('error'|'remove')} [constructorAction='error'] - What to do with `constructor` keys holding a `prototype`
+ */
+
+/**
+ * @typedef {Object} ReadSignalsOptions
+ * @property {Object} [schema] - JSON Schema the signals must satisfy; compiled with the route's validator (AJV by default, with type coercion and defaults)
+ * @property {SignalLimits} [limits] - Size and shape limits and unsafe-key handling
  */
 
 /**
  * Read Datastar signals from a Fastify request
  * 
  * For GET requests, signals are read from the 'datastar' query parameter.
- * For other methods, signals are read from the JSON request body.
+ * For other methods, signals are read from the request body: JSON, or the
+ * fields of a form-encoded or multipart submission (`contentType: 'form'`),
+ * in which case uploaded files are returned as `files`.
+ * When a schema is given, the signals are validated (and coerced/defaulted)
+ * with Fastify's validator.
  * 
  * @param {import('fastify').FastifyRequest} request - The Fastify request object
+ * @param {ReadSignalsOptions} [options={}] - Read options
  * @returns {Promise<ReadSignalsResult>} Result with signals or error
  */
-async function readSignals(request) {
+async function readSignals(request, options = {}) {
+  const result = parseSignals(request, options.limits);
+
+  if (result.success && options.schema) {
+    const validated = validateSignals(request, result.signals, options.schema);
+    return validated.success && result.files
+      ? { ...validated, files: result.files }
+      : validated;
+  }
+
+  return result;
+}
+
+/**
+ * Parse the signals payload of a request, enforcing limits and rejecting
+ * (or stripping) prototype-polluting keys
+ * @param {import('fastify').FastifyRequest} request - The Fastify request object
+ * @param {SignalLimits} [limits={}] - Limits
+ * @returns {ReadSignalsResult}
+ * @private
+ */
+function parseSignals(request, limits = {}) {
+  const maxBytes = limits.maxBytes || Defaults.SignalsMaxBytes;
+
   try {
+    let signals;
+
     if (request.method === 'GET') {
       // For GET requests, signals are in the query parameter
       const query = request.query || {};
@@ -42,40 +120,229 @@ async function readSignals(request) {
         ? decodeURIComponent(querySignals)
         : JSON.stringify(querySignals);
 
-      const signals = JSON.parse(decoded);
-
-      return {
-        success: true,
-        signals,
-      };
+      assertSize(Buffer.byteLength(decoded), maxBytes);
+      signals = parseJSON(decoded);
     } else {
       // For POST/PUT/PATCH/DELETE, signals are in the body
       const body = request.body;
 
+      const files = request[kFiles];
+
       if (!body) {
+        return files
+          ? { success: true, signals: {}, files }
+          : { success: true, signals: {} };
+      }
+
+      // Body could be a string or already parsed object
+      if (typeof body === 'string') {
+        assertSize(Buffer.byteLength(body), maxBytes);
+        signals = parseJSON(body);
+      } else {
+        // Multipart bodies include the files, which have their own limits
+        const contentLength = files ? 0 : Number(request.headers['content-length']);
+        assertSize(Number.isFinite(contentLength) ? contentLength : 0, maxBytes);
+        signals = body;
+      }
+
+      if (files) {
+        checkShape(signals, limits);
         return {
           success: true,
-          signals: {},
+          signals,
+          files,
         };
       }
+    }
 
-      // Body could be a string or already parsed object
-      const signals = typeof body === 'string' ? JSON.parse(body) : body;
+    checkShape(signals, limits);
 
-      return {
-        success: true,
-        signals,
-      };
-    }
+    return {
+      success: true,
+      signals,
+    };
   } catch (error) {
     const message = error instanceof Error ? error.message : 'Unknown error reading signals';
+    const code = error instanceof SignalsError ? error.code : SignalsErrorCode.InvalidJSON;
     return {
       success: false,
       error: message,
+      code,
+      statusCode: statusCodes[code],
     };
   }
 }
 
+/**
+ * @param {number} bytes - Payload size
+ * @param {number} maxBytes - Limit
+ * @private
+ */
+function assertSize(bytes, maxBytes) {
+  if (bytes > maxBytes) {
+    throw new SignalsError(
+      SignalsErrorCode.PayloadTooLarge,
+      `Signals payload of ${bytes} bytes exceeds the ${maxBytes} byte limit`
+    );
+  }
+}
+
+/**
+ * @param {string} text - JSON text
+ * @returns {*}
+ * @private
+ */
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new SignalsError(SignalsErrorCode.InvalidJSON, error.message);
+  }
+}
+
+/**
+ * Walk parsed signals enforcing depth and key limits, and handle
+ * `__proto__` / `constructor.prototype` keys (as secure-json-parse does)
+ * @param {*} signals - Parsed signals
+ * @param {SignalLimits} limits - Limits
+ * @private
+ */
+function checkShape(signals, limits) {
+  const maxDepth = limits.maxDepth || Defaults.SignalsMaxDepth;
+  const maxKeys = limits.maxKeys || Defaults.SignalsMaxKeys;
+  const protoAction = limits.protoAction || 'error';
+  const constructorAction = limits.constructorAction || 'error';
+  const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  let keyCount = 0;
+  const stack = [{ value: signals, depth: 1 }];
+
+  while (stack.length > 0) {
+    const { value, depth } = stack.pop();
+    if (value === null || typeof value !== 'object') {
+      continue;
+    }
+
+    if (depth > maxDepth) {
+      throw new SignalsError(SignalsErrorCode.LimitExceeded, `Signals exceed the maximum depth of ${maxDepth}`);
+    }
+
+    if (!Array.isArray(value)) {
+      if (hasOwn(value, '__proto__')) {
+        if (protoAction !== 'remove') {
+          throw new SignalsError(SignalsErrorCode.UnsafePayload, 'Signals contain a forbidden __proto__ key');
+        }
+        delete value.__proto__;
+      }
+
+      const ctor = hasOwn(value, 'constructor') ? value.constructor : undefined;
+      if (ctor !== null && typeof ctor === 'object' && hasOwn(ctor, 'prototype')) {
+        if (constructorAction !== 'remove') {
+          throw new SignalsError(SignalsErrorCode.UnsafePayload, 'Signals contain a forbidden constructor.prototype key');
+        }
+        delete value.constructor;
+      }
+    }
+
+    const children = Array.isArray(value) ? value : Object.values(value);
+    keyCount += children.length;
+    if (keyCount > maxKeys) {
+      throw new SignalsError(SignalsErrorCode.LimitExceeded, `Signals exceed the maximum of ${maxKeys} keys`);
+    }
+
+    for (const child of children) {
+      stack.push({ value: child, depth: depth + 1 });
+    }
+  }
+}
+
+/**
+ * Validate signals against a JSON Schema using the route's validator
+ * compiler. The default AJV setup coerces types, applies defaults and
+ * removes additional properties in place.
+ * @param {import('fastify').FastifyRequest} request - The Fastify request object
+ * @param {Object} signals - Parsed signals
+ * @param {Object} schema - JSON Schema
+ * @returns {ReadSignalsResult}
+ * @private
+ */
+function validateSignals(request, signals, schema) {
+  const validate = request.compileValidationSchema(schema);
+
+  if (validate(signals)) {
+    return {
+      success: true,
+      signals,
+    };
+  }
+
+  const validationErrors = (validate.errors || []).map(toSignalValidationError);
+  const fieldErrors = {};
+  for (const { path, message } of validationErrors) {
+    if (!Object.prototype.hasOwnProperty.call(fieldErrors, path)) {
+      fieldErrors[path] = message;
+    }
+  }
+
+  return {
+    success: false,
+    error: validationErrors.map((e) => (e.path ? `${e.path} ${e.message}` : e.message)).join(', '),
+    code: SignalsErrorCode.ValidationFailed,
+    statusCode: statusCodes[SignalsErrorCode.ValidationFailed],
+    validationErrors,
+    fieldErrors,
+  };
+}
+
+/**
+ * Convert an AJV error into a SignalValidationError with a dotted path
+ * that points at the offending signal (including missing/extra keys)
+ * @param {Object} error - AJV error object
+ * @returns {SignalValidationError}
+ * @private
+ */
+function toSignalValidationError(error) {
+  const segments = (error.instancePath || '')
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  const params = error.params || {};
+  if (params.missingProperty) {
+    segments.push(params.missingProperty);
+  } else if (params.additionalProperty) {
+    segments.push(params.additionalProperty);
+  }
+
+  return {
+    path: segments.join('.'),
+    message: error.message,
+    keyword: error.keyword,
+  };
+}
+
+/**
+ * Dotted paths of the fields a signals schema declares (its leaf
+ * properties), so that errors shown for fields that have since become valid
+ * can be cleared
+ * @param {Object} schema - JSON Schema
+ * @param {string} [prefix=''] - Path of `schema`
+ * @returns {string[]}
+ * @private
+ */
+function schemaFields(schema, prefix = '') {
+  const properties = schema && schema.properties;
+  if (!properties || typeof properties !== 'object') {
+    return prefix ? [prefix] : [];
+  }
+
+  const fields = [];
+  for (const [key, property] of Object.entries(properties)) {
+    fields.push(...schemaFields(property, prefix ? `${prefix}.${key}` : key));
+  }
+  return fields;
+}
+
 /**
  * Check if a request is a Datastar request
  * 
@@ -92,4 +359,5 @@ function isDatastarRequest(request) {
 module.exports = {
   readSignals,
   isDatastarRequest,
+  schemaFields,
 };
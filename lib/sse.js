@@ -10,14 +10,22 @@
 
 'use strict';
 
-const { EventType, DataLine, Defaults, PatchMode, Namespace } = require('./constants');
+const {
+  EventType,
+  DataLine,
+  Defaults,
+  PatchMode,
+  Namespace,
+  BackpressurePolicy,
+} = require('./constants');
+const { escapeHtml, jsString, appendQuery, formatUrl } = require('./helpers');
 
 /**
  * @typedef {Object} PatchElementsOptions
  * @property {string} [selector] - CSS selector for the target element(s)
  * @property {string} [mode='outer'] - The patch mode to use
  * @property {boolean} [useViewTransition=false] - Whether to use View Transition API
- * @property {string} [viewTransitionSelector] - CSS selector for the element the View Transition is scoped to; only sent when useViewTransition is true (added in 1.0.2)
+ * @property {string} [viewTransitionSelector] - CSS selector for the element the View Transition is scoped to (added in 1.0.2)
  * @property {('html'|'svg'|'mathml')} [namespace='html'] - Namespace in which to create new elements (added in 1.0.0-RC.7)
  * @property {string} [eventId] - Custom event ID for this SSE event
  * @property {number} [retryDuration] - Retry duration in milliseconds
@@ -38,12 +46,188 @@ const { EventType, DataLine, Defaults, PatchMode, Namespace } = require('./const
  * @property {number} [retryDuration] - Retry duration in milliseconds
  */
 
+/**
+ * @typedef {ExecuteScriptOptions & { query?: Object.<string, *> }} NavigateOptions
+ * Script options plus `query`, a query object appended to the URL
+ */
+
+/**
+ * @typedef {Object} ValidationErrorsOptions
+ * @property {string|false} [signalPath='errors'] - Signal the errors are patched under (nested by field path); false to skip the signal patch
+ * @property {string[]} [fields] - Every field of the form; fields without an error are cleared (set to '')
+ * @property {boolean|ValidationElementsOptions} [elements=false] - Also patch an error element per field
+ */
+
+/**
+ * @typedef {Object} ValidationElementsOptions
+ * @property {string} [idPrefix='err-'] - Element id prefix; the field path follows with dots replaced by dashes (e.g. `err-user-email`)
+ * @property {(id: string, message: string, field: string) => string} [render] - Render an error element; must keep the given id. The id and message are not escaped for custom renderers.
+ */
+
 /**
  * @typedef {Object} RemoveElementsOptions
  * @property {string} [eventId] - Custom event ID for this SSE event
  * @property {number} [retryDuration] - Retry duration in milliseconds
  */
 
+/**
+ * @typedef {Object} GeneratorOptions
+ * @property {{ stream: import('stream').Transform, flushKind: number }} [compressor] - Compressor piped into reply.raw; events are written through it and flushed individually
+ * @property {{ store: import('./replay').ReplayStore, key: string }} [replay] - Replay store and stream key; events get auto-assigned ids and are buffered for Last-Event-ID resumption
+ * @property {number} [heartbeatInterval] - Write a `: ping` comment every N ms to keep idle connections alive
+ * @property {Function} [onAbort] - Called once when the connection is found to be gone
+ * @property {BackpressureOptions} [backpressure] - How to handle a slow client
+ * @property {boolean} [batch=false] - Buffer events until the end of the current microtask and write them at once
+ * @property {{ event: Function, written: Function, writeError: Function }} [metrics] - Recorder counting this stream's events, bytes written and write errors
+ * @property {(eventType: string, dataLines: string[], event: import('./logging').LoggedEvent) => void} [onEvent] - Called with every event as it is formatted for writing (event logging, the inspector)
+ */
+
+/**
+ * @typedef {Object} BackpressureOptions
+ * @property {number} [highWaterMark=1048576] - Buffered bytes above which the policy applies
+ * @property {('block'|'drop-oldest'|'coalesce'|'disconnect')} [policy='block'] - What to do over the high-water mark
+ * @property {number} [maxBufferedBytes=4194304] - Held-back bytes above which the client is disconnected whatever the policy (at least highWaterMark)
+ */
+
+/**
+ * Build the data lines of a patch-signals event
+ * @param {Object|string} signals - Signals object or JSON string
+ * @param {boolean} [onlyIfMissing=false] - Only patch signals that don't exist
+ * @returns {string[]}
+ * @private
+ */
+function signalsDataLines(signals, onlyIfMissing) {
+  const dataLines = [];
+
+  // Add onlyIfMissing if true
+  if (onlyIfMissing) {
+    dataLines.push(`${DataLine.OnlyIfMissing} true`);
+  }
+
+  // Convert signals to string if object; every line of a multiline JSON
+  // string needs the signals prefix
+  const signalsStr = typeof signals === 'string' ? signals : JSON.stringify(signals);
+  for (const line of signalsStr.split('\n')) {
+    dataLines.push(`${DataLine.Signals} ${line}`);
+  }
+
+  return dataLines;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for non-null, non-array objects
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Combine two JSON Merge Patches (RFC 7396) into one patch with the same
+ * effect as applying them in order. Returns null when that can't be
+ * expressed as a single patch (merging an object into a key the first
+ * patch deleted or set to a non-object).
+ * @param {Object} first - Patch applied first
+ * @param {Object} second - Patch applied second
+ * @returns {Object|null}
+ * @private
+ */
+function composeMergePatches(first, second) {
+  const result = { ...first };
+
+  for (const [key, value] of Object.entries(second)) {
+    if (isPlainObject(value) && Object.prototype.hasOwnProperty.call(result, key)) {
+      if (!isPlainObject(result[key])) {
+        return null;
+      }
+      const nested = composeMergePatches(result[key], value);
+      if (nested === null) {
+        return null;
+      }
+      result[key] = nested;
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/** Path segments that could reach an object's prototype */
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Whether a dotted path is safe to follow into an object. Field paths can
+ * come from the client (AJV reports unexpected keys by name).
+ * @param {string} path - Dotted path
+ * @returns {boolean}
+ * @private
+ */
+function isSafePath(path) {
+  return !path.split('.').some((key) => UNSAFE_KEYS.has(key));
+}
+
+/**
+ * Set a value in a nested object following a dotted path, creating
+ * intermediate objects as needed. Unsafe paths are ignored.
+ * @param {Object} target - Object to modify
+ * @param {string} path - Dotted path (e.g. 'user.email')
+ * @param {*} value - Value to set
+ * @private
+ */
+function setPath(target, path, value) {
+  if (!isSafePath(path)) {
+    return;
+  }
+
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Normalize validation errors to a map of field path to message
+ * @param {Object.<string, string>|import('./signals').SignalValidationError[]|import('./signals').ReadSignalsResult} errors - Errors in any supported shape
+ * @returns {Object.<string, string>}
+ * @private
+ */
+function toFieldErrors(errors) {
+  if (!errors) {
+    return {};
+  }
+  if (Array.isArray(errors)) {
+    const fieldErrors = {};
+    for (const { path, message } of errors) {
+      if (!Object.prototype.hasOwnProperty.call(fieldErrors, path)) {
+        fieldErrors[path] = message;
+      }
+    }
+    return fieldErrors;
+  }
+  if (isPlainObject(errors.fieldErrors)) {
+    return errors.fieldErrors;
+  }
+  return errors;
+}
+
+/**
+ * Default renderer for validation error elements
+ * @param {string} id - Element id
+ * @param {string} message - Error message ('' when clearing)
+ * @returns {string}
+ * @private
+ */
+function renderFieldError(id, message) {
+  return `<span id="${escapeHtml(id)}" class="field-error">${escapeHtml(message)}</span>`;
+}
+
 /**
  * ServerSentEventGenerator class for Datastar
  */
@@ -51,10 +235,44 @@ class ServerSentEventGenerator {
   /**
    * Create a new ServerSentEventGenerator
    * @param {import('fastify').FastifyReply} reply - Fastify reply object
+   * @param {GeneratorOptions} [options={}] - Generator options
    */
-  constructor(reply) {
+  constructor(reply, options = {}) {
     this._reply = reply;
     this._isClosed = false;
+    this._compressor = options.compressor || null;
+    this._replay = options.replay || null;
+    this._onAbort = options.onAbort || null;
+    this._isAborted = false;
+    this._heartbeatTimer = null;
+    this._metrics = options.metrics || null;
+    this._onEvent = options.onEvent || null;
+
+    const backpressure = options.backpressure || {};
+    this._highWaterMark = backpressure.highWaterMark || Defaults.HighWaterMark;
+    this._policy = backpressure.policy || BackpressurePolicy.Block;
+    this._maxBufferedBytes = Math.max(
+      backpressure.maxBufferedBytes || Defaults.MaxBufferedBytes,
+      this._highWaterMark
+    );
+    /** @type {Array<{ chunk: string, bytes: number, coalesceKey?: string }>} */
+    this._queue = [];
+    this._queuedBytes = 0;
+    this._isCongested = false;
+    /** @type {Function[]} */
+    this._flushWaiters = [];
+
+    this._autoBatch = Boolean(options.batch);
+    this._batchDepth = 0;
+    this._batchScheduled = false;
+    /** @type {Array<{ eventType: string, dataLines: string[], options: Object }>} */
+    this._batch = [];
+
+    if (options.heartbeatInterval > 0) {
+      this._heartbeatTimer = setInterval(() => this._heartbeat(), options.heartbeatInterval);
+      // Don't keep the process alive just for heartbeats
+      this._heartbeatTimer.unref();
+    }
   }
 
   /**
@@ -73,6 +291,30 @@ class ServerSentEventGenerator {
     return this._isClosed;
   }
 
+  /**
+   * Number of bytes written but not yet handed to the operating system,
+   * including events held back while the client is slow
+   * @returns {number}
+   */
+  get bufferedBytes() {
+    return this._queuedBytes + this._target().writableLength;
+  }
+
+  /**
+   * Wait until every event sent so far has been handed to the operating
+   * system (i.e. the client is keeping up). Resolves immediately when the
+   * stream is not congested, and when the stream closes.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    this._flushBatch();
+
+    if (this._isClosed || (!this._isCongested && this._queue.length === 0)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this._flushWaiters.push(resolve));
+  }
+
   /**
    * Send an SSE event to the client
    * @param {string} eventType - The event type
@@ -80,6 +322,9 @@ class ServerSentEventGenerator {
    * @param {Object} [options] - Optional event options
    * @param {string} [options.eventId] - Event ID
    * @param {number} [options.retryDuration] - Retry duration
+   * @param {string} [options.coalesceKey] - Key under which the coalesce policy may replace this event
+   * @param {Object} [options.signals] - Signals object of a patch-signals event, for merging in batches
+   * @param {boolean} [options.onlyIfMissing] - onlyIfMissing flag of a patch-signals event
    * @private
    */
   _send(eventType, dataLines, options = {}) {
@@ -87,6 +332,178 @@ class ServerSentEventGenerator {
       return;
     }
 
+    if (this._batchDepth > 0 || this._autoBatch) {
+      this._addToBatch(eventType, dataLines, options);
+      return;
+    }
+
+    this._output(this._prepare(eventType, dataLines, options), [eventType], options.coalesceKey);
+  }
+
+  /**
+   * Assign the event its id and format it
+   * @param {string} eventType - The event type
+   * @param {string[]} dataLines - Array of data lines
+   * @param {Object} options - Event options
+   * @returns {string}
+   * @private
+   */
+  _prepare(eventType, dataLines, options) {
+    let eventId = options.eventId;
+
+    // Replay-enabled streams own the id space: every event gets the next id
+    if (this._replay) {
+      eventId = this._replay.store.record(this._replay.key, eventType, dataLines, options);
+    }
+
+    const chunk = this._format(eventType, dataLines, {
+      eventId,
+      retryDuration: options.retryDuration,
+    });
+
+    if (this._onEvent) {
+      this._onEvent(eventType, dataLines, {
+        eventId,
+        signals: options.signals,
+        bytes: Buffer.byteLength(chunk),
+      });
+    }
+
+    return chunk;
+  }
+
+  /**
+   * Run a function with batching: every event it sends is buffered and
+   * written in a single write when it returns (or its promise settles).
+   * Consecutive patchSignals calls are merged into one event using JSON
+   * Merge Patch semantics.
+   *
+   * @template T
+   * @param {() => T} fn - Function that sends events
+   * @returns {T} The function's return value
+   *
+   * @example
+   * sse.batch(() => {
+   *   sse.patchSignals({ newTodoText: '' });
+   *   sse.patchSignals({ error: '' });         // merged with the above
+   *   sse.patchElements(renderFooter());
+   * });                                        // one write
+   */
+  batch(fn) {
+    this._batchDepth++;
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this._endBatch();
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.finally(() => this._endBatch());
+    }
+
+    this._endBatch();
+    return result;
+  }
+
+  /**
+   * Leave a batch() call, writing the buffer when the outermost one ends
+   * @private
+   */
+  _endBatch() {
+    this._batchDepth--;
+    if (this._batchDepth === 0) {
+      this._flushBatch();
+    }
+  }
+
+  /**
+   * Buffer an event, merging it into the previous event when both are
+   * mergeable signal patches
+   * @param {string} eventType - The event type
+   * @param {string[]} dataLines - Array of data lines
+   * @param {Object} options - Event options
+   * @private
+   */
+  _addToBatch(eventType, dataLines, options) {
+    const previous = this._batch[this._batch.length - 1];
+    const mergeable = (event) => event.eventType === EventType.PatchSignals
+      && isPlainObject(event.options.signals)
+      && event.options.eventId === undefined
+      && event.options.retryDuration === undefined;
+
+    const current = { eventType, dataLines, options };
+    if (previous && mergeable(previous) && mergeable(current)
+      && Boolean(previous.options.onlyIfMissing) === Boolean(options.onlyIfMissing)) {
+      const signals = composeMergePatches(previous.options.signals, options.signals);
+      if (signals !== null) {
+        previous.options = { ...previous.options, signals };
+        previous.dataLines = signalsDataLines(signals, options.onlyIfMissing);
+        return;
+      }
+    }
+
+    this._batch.push(current);
+
+    if (this._autoBatch && !this._batchScheduled) {
+      this._batchScheduled = true;
+      queueMicrotask(() => {
+        this._batchScheduled = false;
+        // An explicit batch() still in progress writes the buffer when it ends
+        if (this._batchDepth === 0) {
+          this._flushBatch();
+        }
+      });
+    }
+  }
+
+  /**
+   * Write every buffered event in a single write. While the client is slow
+   * the events are held back one by one instead, each with its coalesce
+   * key, so the backpressure policy can still replace or drop them.
+   * @private
+   */
+  _flushBatch() {
+    if (this._batch.length === 0) {
+      return;
+    }
+
+    const events = this._batch;
+    this._batch = [];
+
+    if (this._isClosed) {
+      return;
+    }
+
+    const chunks = events.map((event) => ({
+      chunk: this._prepare(event.eventType, event.dataLines, event.options),
+      eventType: event.eventType,
+      coalesceKey: event.options.coalesceKey,
+    }));
+
+    if (!this._isCongested && this._queue.length === 0) {
+      this._output(chunks.map((item) => item.chunk).join(''), chunks.map((item) => item.eventType));
+      return;
+    }
+
+    for (const item of chunks) {
+      this._output(item.chunk, [item.eventType], item.coalesceKey);
+    }
+  }
+
+  /**
+   * Format an SSE event as wire text
+   * @param {string} eventType - The event type
+   * @param {string[]} dataLines - Array of data lines
+   * @param {Object} [options] - Optional event options
+   * @param {string} [options.eventId] - Event ID
+   * @param {number} [options.retryDuration] - Retry duration
+   * @returns {string}
+   * @private
+   */
+  _format(eventType, dataLines, options = {}) {
     const lines = [];
 
     // Add event type
@@ -110,8 +527,251 @@ class ServerSentEventGenerator {
     // SSE events end with double newline
     lines.push('', '');
 
-    const message = lines.join('\n');
-    this._reply.raw.write(message);
+    return lines.join('\n');
+  }
+
+  /**
+   * Re-send the buffered events the client missed since its Last-Event-ID
+   * @param {string} lastEventId - Value of the Last-Event-ID request header
+   * @returns {number} Number of events replayed
+   * @private
+   */
+  _replaySince(lastEventId) {
+    if (!this._replay || this._isClosed) {
+      return 0;
+    }
+
+    const events = this._replay.store.since(this._replay.key, lastEventId);
+    for (const event of events) {
+      this._output(this._format(event.eventType, event.dataLines, {
+        eventId: event.id,
+        retryDuration: event.retryDuration,
+      }), [event.eventType]);
+    }
+    return events.length;
+  }
+
+  /**
+   * Write a formatted event, holding it back while the client is slow and
+   * applying the backpressure policy once the held-back bytes pass the
+   * high-water mark. Producers that never wait for the client would
+   * otherwise grow the queue without limit under 'block' (or 'coalesce',
+   * for events it can't replace), so past maxBufferedBytes the client is
+   * disconnected whatever the policy. Events are counted in the metrics
+   * when they are written, so merged, replaced and dropped ones aren't.
+   * @param {string} chunk - Formatted SSE event(s)
+   * @param {string[]} eventTypes - Type of each event in the chunk
+   * @param {string} [coalesceKey] - Key for the coalesce policy
+   * @private
+   */
+  _output(chunk, eventTypes, coalesceKey) {
+    if (!this._isCongested && this._queue.length === 0) {
+      if (!this._writeEvents(chunk, eventTypes)) {
+        this._waitForDrain();
+      }
+      return;
+    }
+
+    const bytes = Buffer.byteLength(chunk);
+    if (this._policy === BackpressurePolicy.Coalesce && coalesceKey !== undefined
+      && this._queuedBytes + bytes > this._highWaterMark) {
+      const index = this._queue.findIndex((item) => item.coalesceKey === coalesceKey);
+      if (index !== -1) {
+        this._queuedBytes -= this._queue[index].bytes;
+        this._queue.splice(index, 1);
+      }
+    }
+
+    this._queue.push({ chunk, bytes, eventTypes, coalesceKey });
+    this._queuedBytes += bytes;
+
+    if (this._queuedBytes > this._highWaterMark) {
+      if (this._policy === BackpressurePolicy.DropOldest) {
+        while (this._queue.length > 1 && this._queuedBytes > this._highWaterMark) {
+          this._queuedBytes -= this._queue.shift().bytes;
+        }
+      } else if (this._policy === BackpressurePolicy.Disconnect) {
+        this._disconnect();
+        return;
+      }
+    }
+
+    if (this._queuedBytes > this._maxBufferedBytes) {
+      this._reply.log.warn(
+        { bufferedBytes: this._queuedBytes, maxBufferedBytes: this._maxBufferedBytes },
+        'datastar stream disconnected: the client is too slow'
+      );
+      this._disconnect();
+    }
+  }
+
+  /**
+   * Wait for the writable to drain, then write held-back events
+   * @private
+   */
+  _waitForDrain() {
+    if (this._isCongested) {
+      return;
+    }
+
+    this._isCongested = true;
+    this._target().once('drain', () => {
+      this._isCongested = false;
+      this._drainQueue();
+    });
+  }
+
+  /**
+   * Write held-back events until the writable pushes back again
+   * @private
+   */
+  _drainQueue() {
+    while (this._queue.length > 0 && !this._isClosed) {
+      const item = this._queue.shift();
+      this._queuedBytes -= item.bytes;
+      if (!this._writeEvents(item.chunk, item.eventTypes)) {
+        this._waitForDrain();
+        return;
+      }
+    }
+    this._resolveFlushWaiters();
+  }
+
+  /**
+   * Drop held-back events and close the connection (disconnect policy)
+   * @private
+   */
+  _disconnect() {
+    this._queue = [];
+    this._queuedBytes = 0;
+    this._abort();
+    this._reply.raw.destroy();
+  }
+
+  /**
+   * Resolve every pending flush() promise
+   * @private
+   */
+  _resolveFlushWaiters() {
+    const waiters = this._flushWaiters;
+    this._flushWaiters = [];
+    for (const resolve of waiters) {
+      resolve();
+    }
+  }
+
+  /**
+   * The writable events go to: the compressor when compressing, else reply.raw
+   * @returns {import('stream').Writable}
+   * @private
+   */
+  _target() {
+    return this._compressor ? this._compressor.stream : this._reply.raw;
+  }
+
+  /**
+   * Write raw SSE text to the client, flushing the compressor (if any) so
+   * the event is delivered immediately rather than buffered
+   * @param {string} chunk - Raw SSE text
+   * @param {Function} [callback] - Called once the chunk is handed off (with an error if the write failed)
+   * @returns {boolean} false when the writable's buffer is full and the caller should wait for 'drain'
+   * @private
+   */
+  _write(chunk, callback) {
+    if (this._metrics) {
+      const metrics = this._metrics;
+      const bytes = Buffer.byteLength(chunk);
+      const done = callback;
+      callback = (error) => {
+        if (error) {
+          metrics.writeError();
+        } else {
+          metrics.written(bytes);
+        }
+        if (done) {
+          done(error);
+        }
+      };
+    }
+
+    if (this._compressor) {
+      const ok = this._compressor.stream.write(chunk, callback);
+      this._compressor.stream.flush(this._compressor.flushKind);
+      return ok;
+    }
+    return this._reply.raw.write(chunk, callback);
+  }
+
+  /**
+   * Write formatted events, counting them in the metrics
+   * @param {string} chunk - Formatted SSE event(s)
+   * @param {string[]} eventTypes - Type of each event in the chunk
+   * @returns {boolean} false when the caller should wait for 'drain'
+   * @private
+   */
+  _writeEvents(chunk, eventTypes) {
+    if (this._metrics) {
+      for (const eventType of eventTypes) {
+        this._metrics.event(eventType);
+      }
+    }
+    return this._write(chunk);
+  }
+
+  /**
+   * Write a keep-alive comment; a failed write means the client is gone
+   * @private
+   */
+  _heartbeat() {
+    const raw = this._reply.raw;
+    if (raw.destroyed || raw.writableEnded) {
+      this._abort();
+      return;
+    }
+
+    // Data is already waiting to go out, so the connection isn't idle
+    if (this._isCongested) {
+      return;
+    }
+
+    try {
+      this._write(': ping\n\n', (error) => {
+        if (error) {
+          this._abort();
+        }
+      });
+    } catch {
+      this._abort();
+    }
+  }
+
+  /**
+   * Mark the stream closed because the connection went away, and fire
+   * onAbort (at most once)
+   * @private
+   */
+  _abort() {
+    this._isClosed = true;
+    this._stopHeartbeat();
+    this._resolveFlushWaiters();
+
+    if (!this._isAborted) {
+      this._isAborted = true;
+      if (this._onAbort) {
+        this._onAbort();
+      }
+    }
+  }
+
+  /**
+   * Stop the heartbeat timer
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
   }
 
   /**
@@ -161,7 +821,7 @@ class ServerSentEventGenerator {
 
   /**
    * Patch HTML elements into the DOM
-   * @param {string} elements - HTML string of elements to patch
+   * @param {string|import('./helpers').SafeHtml} elements - HTML string (or `html` template) of elements to patch
    * @param {PatchElementsOptions} [options={}] - Options for patching
    */
   patchElements(elements, options = {}) {
@@ -180,11 +840,11 @@ class ServerSentEventGenerator {
     // Add useViewTransition if true
     if (options.useViewTransition) {
       dataLines.push(`${DataLine.UseViewTransition} true`);
+    }
 
-      // Added in 1.0.2 — the spec only sends this when useViewTransition is true
-      if (options.viewTransitionSelector) {
-        dataLines.push(`${DataLine.ViewTransitionSelector} ${options.viewTransitionSelector}`);
-      }
+    // Added in 1.0.2; sent whenever it is given, like the official SDK does
+    if (options.viewTransitionSelector) {
+      dataLines.push(`${DataLine.ViewTransitionSelector} ${options.viewTransitionSelector}`);
     }
 
     // Add namespace if non-default (html is the default)
@@ -192,18 +852,39 @@ class ServerSentEventGenerator {
       dataLines.push(`${DataLine.Namespace} ${options.namespace}`);
     }
 
-    // Add elements - each line needs the elements prefix
-    const elementLines = elements.split('\n');
-    for (const line of elementLines) {
-      dataLines.push(`${DataLine.Elements} ${line}`);
+    // Add elements - each line needs the elements prefix; none are sent
+    // when there are no elements (e.g. mode remove)
+    const elementsStr = String(elements);
+    if (elementsStr !== '') {
+      for (const line of elementsStr.split('\n')) {
+        dataLines.push(`${DataLine.Elements} ${line}`);
+      }
     }
 
+    // Patches that replace their target can be coalesced under backpressure;
+    // appends, inserts and removals cannot
+    const mode = options.mode || Defaults.PatchMode;
+    const replacesTarget = mode === PatchMode.Outer || mode === PatchMode.Inner || mode === PatchMode.Replace;
+
     this._send(EventType.PatchElements, dataLines, {
       eventId: options.eventId,
       retryDuration: options.retryDuration,
+      coalesceKey: options.selector && replacesTarget ? `${mode} ${options.selector}` : undefined,
     });
   }
 
+  /**
+   * Patch HTML elements and wait until the client has caught up
+   * (see {@link ServerSentEventGenerator#flush})
+   * @param {string|import('./helpers').SafeHtml} elements - HTML string (or `html` template) of elements to patch
+   * @param {PatchElementsOptions} [options={}] - Options for patching
+   * @returns {Promise<void>}
+   */
+  patchElementsAsync(elements, options = {}) {
+    this.patchElements(elements, options);
+    return this.flush();
+  }
+
   /**
    * Patch signals into the client's signal store
    * In RC.8+, uses JSON Merge Patch (RFC 7396): setting a signal to null removes it.
@@ -211,23 +892,28 @@ class ServerSentEventGenerator {
    * @param {PatchSignalsOptions} [options={}] - Options for patching
    */
   patchSignals(signals, options = {}) {
-    const dataLines = [];
-
-    // Add onlyIfMissing if true
-    if (options.onlyIfMissing) {
-      dataLines.push(`${DataLine.OnlyIfMissing} true`);
-    }
-
-    // Convert signals to string if object
-    const signalsStr = typeof signals === 'string' ? signals : JSON.stringify(signals);
-    dataLines.push(`${DataLine.Signals} ${signalsStr}`);
+    const dataLines = signalsDataLines(signals, options.onlyIfMissing);
 
     this._send(EventType.PatchSignals, dataLines, {
       eventId: options.eventId,
       retryDuration: options.retryDuration,
+      signals: isPlainObject(signals) ? signals : undefined,
+      onlyIfMissing: options.onlyIfMissing,
     });
   }
 
+  /**
+   * Patch signals and wait until the client has caught up
+   * (see {@link ServerSentEventGenerator#flush})
+   * @param {Object|string} signals - Signals object or JSON string
+   * @param {PatchSignalsOptions} [options={}] - Options for patching
+   * @returns {Promise<void>}
+   */
+  patchSignalsAsync(signals, options = {}) {
+    this.patchSignals(signals, options);
+    return this.flush();
+  }
+
   /**
    * Convenience method to marshal and patch signals (matches Go SDK API)
    * @param {Object} signals - Signals object
@@ -269,6 +955,73 @@ class ServerSentEventGenerator {
     this.patchSignals(signals);
   }
 
+  /**
+   * Show validation errors on a form, clearing previously shown ones.
+   * Errors are patched as signals under `signalPath` (nested by field path)
+   * and, optionally, as `<span id="err-field">` elements next to inputs.
+   *
+   * @param {Object.<string, string>|import('./signals').SignalValidationError[]|import('./signals').ReadSignalsResult} errors - Field path to message map, validation error list, or a failed readSignals result
+   * @param {ValidationErrorsOptions} [options={}] - Options
+   *
+   * @example
+   * const result = await request.readSignals();
+   * await reply.datastar((sse) => {
+   *   sse.patchValidationErrors(result, { fields: ['name', 'email'] });
+   * });
+   * // patches {"errors":{"name":"","email":"must match format \"email\""}}
+   *
+   * @example
+   * // Also patch <span id="err-email" class="field-error">...</span>
+   * sse.patchValidationErrors({ email: 'Required' }, { elements: true });
+   */
+  patchValidationErrors(errors, options = {}) {
+    const { signalPath = 'errors', fields = [], elements = false } = options;
+    const fieldErrors = toFieldErrors(errors);
+
+    // Fields whose path could reach a prototype (e.g. an unexpected
+    // `__proto__` key reported by AJV) are skipped
+    const messages = new Map();
+    for (const field of fields) {
+      messages.set(field, '');
+    }
+    for (const [field, message] of Object.entries(fieldErrors)) {
+      messages.set(field, message);
+    }
+    for (const field of messages.keys()) {
+      if (!isSafePath(field)) {
+        messages.delete(field);
+      }
+    }
+
+    if (signalPath) {
+      const signals = {};
+      for (const [field, message] of messages) {
+        setPath(signals, `${signalPath}.${field}`, message);
+      }
+      this.patchSignals(signals);
+    }
+
+    if (elements && messages.size > 0) {
+      const { idPrefix = 'err-', render } = elements === true ? {} : elements;
+      const html = Array.from(messages)
+        .map(([field, message]) => {
+          const id = `${idPrefix}${field.replace(/\./g, '-')}`;
+          return render ? render(id, message, field) : renderFieldError(id, message);
+        })
+        .join('');
+      this.patchElements(html);
+    }
+  }
+
+  /**
+   * Clear validation errors previously shown with patchValidationErrors
+   * @param {string[]} fields - Fields to clear
+   * @param {ValidationErrorsOptions} [options={}] - Same options as patchValidationErrors
+   */
+  clearValidationErrors(fields, options = {}) {
+    this.patchValidationErrors({}, { ...options, fields });
+  }
+
   /**
    * Execute JavaScript in the browser by appending a script element to body
    * In RC.8, the ExecuteScript watcher was removed; scripts are executed by
@@ -340,34 +1093,33 @@ class ServerSentEventGenerator {
    * Redirect the browser to a new URL
    * Uses setTimeout to ensure proper event processing before navigation.
    * @param {string} url - URL to redirect to
-   * @param {ExecuteScriptOptions} [options={}] - Options
+   * @param {NavigateOptions} [options={}] - Options
    */
   redirect(url, options = {}) {
-    this.executeScript(`setTimeout(() => window.location = "${url}")`, options);
+    const { query, ...scriptOptions } = options;
+    const target = jsString(appendQuery(url, query));
+    this.executeScript(`setTimeout(() => window.location = ${target})`, scriptOptions);
   }
 
   /**
-   * Redirect with format string support (matches Go SDK API)
+   * Redirect with format string support (matches Go SDK API).
+   * Substituted arguments are URI-encoded.
    * @param {string} format - URL format string with %s placeholders
    * @param {...*} args - Arguments to substitute
    */
   redirectf(format, ...args) {
-    let url = format;
-    let argIndex = 0;
-    url = format.replace(/%[sv]/g, () => {
-      const arg = args[argIndex++];
-      return arg !== undefined ? String(arg) : '';
-    });
-    this.redirect(url);
+    this.redirect(formatUrl(format, args));
   }
 
   /**
    * Replace the current URL without navigation
    * @param {string} url - New URL
-   * @param {ExecuteScriptOptions} [options={}] - Options
+   * @param {NavigateOptions} [options={}] - Options
    */
   replaceUrl(url, options = {}) {
-    this.executeScript(`history.replaceState({}, '', "${url}")`, options);
+    const { query, ...scriptOptions } = options;
+    const target = jsString(appendQuery(url, query));
+    this.executeScript(`history.replaceState({}, '', ${target})`, scriptOptions);
   }
 
   /**
@@ -377,7 +1129,7 @@ class ServerSentEventGenerator {
    */
   replaceUrlQuerystring(querystring, options = {}) {
     this.executeScript(
-      `history.replaceState({}, '', window.location.pathname + "${querystring}")`,
+      `history.replaceState({}, '', window.location.pathname + ${jsString(querystring)})`,
       options
     );
   }
@@ -388,8 +1140,7 @@ class ServerSentEventGenerator {
    * @param {ExecuteScriptOptions} [options={}] - Options
    */
   consoleLog(message, options = {}) {
-    const escaped = message.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-    this.executeScript(`console.log("${escaped}")`, options);
+    this.executeScript(`console.log(${jsString(message)})`, options);
   }
 
   /**
@@ -398,8 +1149,7 @@ class ServerSentEventGenerator {
    * @param {ExecuteScriptOptions} [options={}] - Options
    */
   consoleError(message, options = {}) {
-    const escaped = message.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-    this.executeScript(`console.error("${escaped}")`, options);
+    this.executeScript(`console.error(${jsString(message)})`, options);
   }
 
   /**
@@ -448,7 +1198,7 @@ class ServerSentEventGenerator {
     const script = `
       const script = document.createElement('script');
       script.type = 'speculationrules';
-      script.textContent = '${JSON.stringify(rules)}';
+      script.textContent = ${jsString(JSON.stringify(rules))};
       document.head.appendChild(script);
     `.trim().replace(/\n\s*/g, ' ');
 
@@ -459,9 +1209,26 @@ class ServerSentEventGenerator {
    * Close the SSE connection
    */
   close() {
+    this._stopHeartbeat();
+    this._flushBatch();
+
     if (!this._isClosed) {
       this._isClosed = true;
-      this._reply.raw.end();
+
+      // Hand held-back events to the writable; ending it flushes them
+      for (const item of this._queue) {
+        this._writeEvents(item.chunk, item.eventTypes);
+      }
+      this._queue = [];
+      this._queuedBytes = 0;
+      this._resolveFlushWaiters();
+
+      if (this._compressor) {
+        // Ending the compressor ends reply.raw through the pipe
+        this._compressor.stream.end();
+      } else {
+        this._reply.raw.end();
+      }
     }
   }
 }
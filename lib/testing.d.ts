@@ -0,0 +1,73 @@
+/**
+ * Type declarations for @johntom/datastar-fastify/testing
+ *
+ * Mirrors the JSDoc typedefs in lib/testing.js.
+ */
+
+import type { Signals } from './index';
+
+/** Anything the helpers read SSE text from */
+export type SSEResponse = string | { body: string } | { payload: string };
+
+export interface SSEMessage {
+  /** Event type ('message' when the event has none) */
+  event: string;
+  data: string[];
+  id?: string;
+  retry?: number;
+}
+
+interface ParsedEventBase {
+  /** SSE event type (e.g. 'datastar-patch-elements') */
+  event: string;
+  id?: string;
+  retry?: number;
+}
+
+export interface ParsedPatchElements extends ParsedEventBase {
+  type: 'patchElements';
+  selector?: string;
+  /** Patch mode ('outer' when not sent) */
+  mode: string;
+  elements: string;
+  namespace?: string;
+  useViewTransition?: true;
+  viewTransitionSelector?: string;
+}
+
+export interface ParsedPatchSignals extends ParsedEventBase {
+  type: 'patchSignals';
+  signals: Signals;
+  onlyIfMissing?: true;
+}
+
+export interface ParsedCustomEvent extends ParsedEventBase {
+  type: 'custom';
+  data: string[];
+}
+
+/** A Datastar event parsed from an SSE response; optional fields are only present when sent */
+export type ParsedEvent = ParsedPatchElements | ParsedPatchSignals | ParsedCustomEvent;
+
+/** Split SSE text into messages, following the EventSource parsing rules */
+export function parseSSE(response: SSEResponse): SSEMessage[];
+
+/** Parse an SSE response into Datastar events */
+export function parseEvents(response: SSEResponse): ParsedEvent[];
+
+/** Signals after applying every signal patch of a response, in order, to `{}` */
+export function getPatchedSignals(response: SSEResponse): Signals;
+
+/**
+ * Assert that a response patched signals to the expected values; only the
+ * keys in `expected` are compared. Returns every patched signal.
+ * @throws {import('assert').AssertionError}
+ */
+export function expectPatchedSignals(response: SSEResponse, expected: Signals, message?: string): Signals;
+
+/**
+ * Assert that a response patched an element targeting `selector`, or, for
+ * `#id` selectors, containing that id. Returns the last matching patch.
+ * @throws {import('assert').AssertionError}
+ */
+export function expectElement(response: SSEResponse, selector: string, message?: string): ParsedPatchElements;
@@ -0,0 +1,291 @@
+/**
+ * Testing utilities for Datastar routes
+ *
+ * Parses the SSE body of a `fastify.inject()` response (or any SSE text)
+ * into Datastar events and asserts on what a route patched:
+ *
+ * ```js
+ * const { parseEvents, expectPatchedSignals, expectElement } = require('@johntom/datastar-fastify/testing');
+ *
+ * const res = await app.inject({ method: 'POST', url: '/todos', headers: { 'datastar-request': 'true' } });
+ * expectPatchedSignals(res, { newTodoText: '' });
+ * expectElement(res, '#todo-list');
+ * ```
+ *
+ * @module testing
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { EventType, DataLine, Defaults } = require('./constants');
+// The fallback view applies signal patches the same way, so reuse its merge
+const { applyMergePatch } = require('./fallback');
+
+/**
+ * @typedef {Object} SSEMessage
+ * @property {string} event - Event type ('message' when the event has none)
+ * @property {string[]} data - Data lines
+ * @property {string} [id] - Event id
+ * @property {number} [retry] - Retry duration in ms
+ */
+
+/**
+ * A Datastar event parsed from an SSE response. Optional fields are only
+ * present when the event sent them.
+ * @typedef {Object} ParsedEvent
+ * @property {('patchElements'|'patchSignals'|'custom')} type - Kind of event
+ * @property {string} event - SSE event type (e.g. 'datastar-patch-elements')
+ * @property {string} [id] - Event id
+ * @property {number} [retry] - Retry duration in ms
+ * @property {string} [selector] - patchElements: target selector
+ * @property {string} [mode] - patchElements: patch mode ('outer' when not sent)
+ * @property {string} [elements] - patchElements: the elements HTML
+ * @property {string} [namespace] - patchElements: element namespace
+ * @property {boolean} [useViewTransition] - patchElements: true when a view transition is used
+ * @property {string} [viewTransitionSelector] - patchElements: view transition scope
+ * @property {Object} [signals] - patchSignals: the signals patch
+ * @property {boolean} [onlyIfMissing] - patchSignals: true when only missing signals are patched
+ * @property {string[]} [data] - custom: the data lines
+ */
+
+/**
+ * Body text of an inject response, or the text itself
+ * @param {string|{ body?: string, payload?: string }} response - Response or SSE text
+ * @returns {string}
+ * @private
+ */
+function bodyOf(response) {
+  if (typeof response === 'string') {
+    return response;
+  }
+  if (response && typeof response.body === 'string') {
+    return response.body;
+  }
+  if (response && typeof response.payload === 'string') {
+    return response.payload;
+  }
+  throw new TypeError('Expected a fastify.inject() response or SSE text');
+}
+
+/**
+ * Split SSE text into messages, following the EventSource parsing rules
+ * (comments, a single optional space after the colon, CRLF/CR line ends).
+ * The leading `retry:`-only message the plugin sends is included.
+ * @param {string|{ body?: string, payload?: string }} response - Response or SSE text
+ * @returns {SSEMessage[]}
+ */
+function parseSSE(response) {
+  const messages = [];
+  let current = { event: 'message', data: [] };
+  let hasFields = false;
+
+  for (const line of bodyOf(response).split(/\r\n|\r|\n/)) {
+    if (line === '') {
+      if (hasFields) {
+        messages.push(current);
+      }
+      current = { event: 'message', data: [] };
+      hasFields = false;
+      continue;
+    }
+    if (line.startsWith(':')) {
+      continue;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    hasFields = true;
+    if (field === 'event') {
+      current.event = value;
+    } else if (field === 'data') {
+      current.data.push(value);
+    } else if (field === 'id') {
+      current.id = value;
+    } else if (field === 'retry' && /^\d+$/.test(value)) {
+      current.retry = Number(value);
+    }
+  }
+
+  if (hasFields) {
+    messages.push(current);
+  }
+  return messages;
+}
+
+/**
+ * Collect the `key value` data lines of a Datastar event; repeated keys
+ * (elements, signals) are joined with newlines
+ * @param {string[]} data - Data lines
+ * @returns {Object.<string, string>}
+ * @private
+ */
+function dataFields(data) {
+  const fields = {};
+  for (const line of data) {
+    const space = line.indexOf(' ');
+    const key = space === -1 ? line : line.slice(0, space);
+    const value = space === -1 ? '' : line.slice(space + 1);
+    fields[key] = key in fields ? `${fields[key]}\n${value}` : value;
+  }
+  return fields;
+}
+
+/**
+ * Parse an SSE response into Datastar events. Messages without data (such
+ * as the initial `retry:`) are skipped.
+ * @param {string|{ body?: string, payload?: string }} response - Response or SSE text
+ * @returns {ParsedEvent[]}
+ *
+ * @example
+ * const events = parseEvents(await app.inject('/todos/feed'));
+ * // [{ type: 'patchElements', event: 'datastar-patch-elements', selector: '#list', mode: 'inner', elements: '<li>…</li>' }]
+ */
+function parseEvents(response) {
+  const events = [];
+
+  for (const message of parseSSE(response)) {
+    if (message.data.length === 0) {
+      continue;
+    }
+
+    const event = { type: 'custom', event: message.event };
+    if (message.id !== undefined) {
+      event.id = message.id;
+    }
+    if (message.retry !== undefined) {
+      event.retry = message.retry;
+    }
+
+    if (message.event === EventType.PatchElements) {
+      const fields = dataFields(message.data);
+      event.type = 'patchElements';
+      if (fields[DataLine.Selector] !== undefined) {
+        event.selector = fields[DataLine.Selector];
+      }
+      event.mode = fields[DataLine.Mode] || Defaults.PatchMode;
+      event.elements = fields[DataLine.Elements] || '';
+      if (fields[DataLine.Namespace] !== undefined) {
+        event.namespace = fields[DataLine.Namespace];
+      }
+      if (fields[DataLine.UseViewTransition] === 'true') {
+        event.useViewTransition = true;
+      }
+      if (fields[DataLine.ViewTransitionSelector] !== undefined) {
+        event.viewTransitionSelector = fields[DataLine.ViewTransitionSelector];
+      }
+    } else if (message.event === EventType.PatchSignals) {
+      const fields = dataFields(message.data);
+      event.type = 'patchSignals';
+      event.signals = JSON.parse(fields[DataLine.Signals]);
+      if (fields[DataLine.OnlyIfMissing] === 'true') {
+        event.onlyIfMissing = true;
+      }
+    } else {
+      event.data = message.data;
+    }
+
+    events.push(event);
+  }
+
+  return events;
+}
+
+/**
+ * Signals after applying every signal patch of a response, in order, to `{}`
+ * @param {string|{ body?: string, payload?: string }} response - Response or SSE text
+ * @returns {Object}
+ */
+function getPatchedSignals(response) {
+  const signals = {};
+  for (const event of parseEvents(response)) {
+    if (event.type === 'patchSignals') {
+      applyMergePatch(signals, event.signals, Boolean(event.onlyIfMissing));
+    }
+  }
+  return signals;
+}
+
+/**
+ * The part of `actual` that has the shape of `expected`, so deepStrictEqual
+ * only compares the keys the test asked about
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ * @returns {*}
+ * @private
+ */
+function pickExpected(actual, expected) {
+  if (expected === null || typeof expected !== 'object' || Array.isArray(expected)
+    || actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+    return actual;
+  }
+
+  const picked = {};
+  for (const key of Object.keys(expected)) {
+    if (Object.prototype.hasOwnProperty.call(actual, key)) {
+      picked[key] = pickExpected(actual[key], expected[key]);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Assert that a response patched signals to the expected values. Only the
+ * keys in `expected` are compared (at every depth); arrays and other values
+ * must match exactly.
+ * @param {string|{ body?: string, payload?: string }} response - Response or SSE text
+ * @param {Object} expected - Expected signal values
+ * @param {string} [message] - Assertion message
+ * @returns {Object} Every patched signal
+ * @throws {assert.AssertionError} If a signal is missing or different
+ */
+function expectPatchedSignals(response, expected, message) {
+  const signals = getPatchedSignals(response);
+  assert.deepStrictEqual(pickExpected(signals, expected), expected, message);
+  return signals;
+}
+
+/**
+ * Assert that a response patched an element: a patch targeting `selector`,
+ * or, for `#id` selectors, a patch whose elements contain that id
+ * @param {string|{ body?: string, payload?: string }} response - Response or SSE text
+ * @param {string} selector - Selector passed to patchElements, or `#id`
+ * @param {string} [message] - Assertion message
+ * @returns {ParsedEvent} The last matching patch
+ * @throws {assert.AssertionError} If no patch matches
+ */
+function expectElement(response, selector, message) {
+  const patches = parseEvents(response).filter((event) => event.type === 'patchElements');
+  const id = /^#[\w-]+$/.test(selector) ? selector.slice(1) : null;
+  const idPattern = id && new RegExp(`\\sid=(["']?)${id}\\1[\\s>/]`);
+
+  const match = patches.filter((event) => {
+    return event.selector === selector || (idPattern !== null && idPattern.test(event.elements));
+  }).pop();
+
+  if (!match) {
+    throw new assert.AssertionError({
+      message: message || `Expected an element patch for ${selector}; patched: ${
+        patches.map((event) => event.selector || '(by id)').join(', ') || 'nothing'
+      }`,
+      actual: patches,
+      expected: selector,
+      operator: 'expectElement',
+      stackStartFn: expectElement,
+    });
+  }
+  return match;
+}
+
+module.exports = {
+  parseSSE,
+  parseEvents,
+  getPatchedSignals,
+  expectPatchedSignals,
+  expectElement,
+};
@@ -44,36 +44,51 @@ async function runTests() {
   // Give the server a moment to fully initialize
   await new Promise(resolve => global.setTimeout(resolve, 500));
 
-  // Run the tests
+  // Run the tests: the ad-hoc requests, the SDK conformance cases, then the
+  // feature tests (which build their own apps). The server is stopped even
+  // when a test script fails.
   console.log('Running tests...\n');
-  const testProcess = spawn('node', ['test-request.js'], {
+  try {
+    for (const script of ['test-request.js', 'test-conformance.js', 'test-features.js']) {
+      await runScript(script);
+    }
+  } finally {
+    // Clean up
+    console.log('\nShutting down test server...');
+    server.kill();
+
+    // Wait for server to shut down
+    await new Promise((resolve) => {
+      server.on('close', () => {
+        console.log('✓ Test server stopped');
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Run a test script against the running server
+ * @param {string} script - Script file name
+ * @returns {Promise<void>} Rejects when the script exits with an error
+ */
+function runScript(script) {
+  const testProcess = spawn('node', [script], {
     cwd: __dirname,
     stdio: 'inherit'
   });
 
-  await new Promise((resolve, reject) => {
+  return new Promise((resolve, reject) => {
     testProcess.on('close', (code) => {
       if (code === 0) {
         resolve();
       } else {
-        reject(new Error(`Tests failed with code ${code}`));
+        reject(new Error(`${script} failed with code ${code}`));
       }
     });
 
     testProcess.on('error', reject);
   });
-
-  // Clean up
-  console.log('\nShutting down test server...');
-  server.kill();
-
-  // Wait for server to shut down
-  await new Promise((resolve) => {
-    server.on('close', () => {
-      console.log('✓ Test server stopped');
-      resolve();
-    });
-  });
 }
 
 runTests()
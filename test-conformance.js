@@ -0,0 +1,225 @@
+/**
+ * SDK conformance tests against the test server
+ *
+ * Runs every case in conformance/golden against testserver.js and compares
+ * the SSE output byte for byte. The directory follows the layout of the
+ * upstream Datastar SDK test suite (sdk/tests/golden):
+ *
+ *   conformance/golden/get/<case>/input.json   sent as ?datastar=<json> on GET /test
+ *   conformance/golden/post/<case>/input.json  sent as the JSON body of POST /test
+ *   conformance/golden/<method>/<case>/output.txt  the expected SSE output
+ *
+ * The expected outputs are checked too: every input.json is rendered with
+ * the official TypeScript SDK (@starfederation/datastar-sdk, pinned in
+ * devDependencies) and must give the same events as output.txt. The SDK
+ * writes options in the order they are passed, so data lines may come in a
+ * different order as long as each key's lines match (the client reads them
+ * by key).
+ *
+ * Run with: node test-conformance.js [name filter]
+ * (the test server must be running; `npm test` starts it)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { ServerSentEventGenerator: SdkGenerator } = require('@starfederation/datastar-sdk/abstractServerSentEventGenerator');
+
+const baseUrl = `http://127.0.0.1:${process.env.TEST_PORT || 7331}`;
+const goldenDir = path.join(__dirname, 'conformance', 'golden');
+
+/**
+ * The plugin announces its retry duration when a stream opens; that
+ * preamble isn't part of any case's events
+ */
+const RETRY_PREAMBLE = /^retry: \d+\n\n/;
+
+/**
+ * @typedef {Object} TestCase
+ * @property {string} name - `<method>/<case>`
+ * @property {('GET'|'POST')} method - Request method
+ * @property {string} input - Contents of input.json
+ * @property {string} output - Contents of output.txt
+ */
+
+/**
+ * Load every case, optionally only those whose name contains a filter
+ * @param {string} [filter] - Name filter
+ * @returns {TestCase[]}
+ */
+function loadCases(filter) {
+  const cases = [];
+  for (const method of ['get', 'post']) {
+    const methodDir = path.join(goldenDir, method);
+    if (!fs.existsSync(methodDir)) {
+      continue;
+    }
+
+    for (const name of fs.readdirSync(methodDir).sort()) {
+      const caseDir = path.join(methodDir, name);
+      if (!fs.statSync(caseDir).isDirectory() || (filter && !`${method}/${name}`.includes(filter))) {
+        continue;
+      }
+      cases.push({
+        name: `${method}/${name}`,
+        method: method.toUpperCase(),
+        input: fs.readFileSync(path.join(caseDir, 'input.json'), 'utf8'),
+        output: fs.readFileSync(path.join(caseDir, 'output.txt'), 'utf8'),
+      });
+    }
+  }
+  return cases;
+}
+
+/**
+ * Send a case's input to the test server
+ * @param {TestCase} testCase - The case
+ * @returns {Promise<string>} SSE output without the retry preamble
+ */
+async function runCase(testCase) {
+  const headers = { 'datastar-request': 'true' };
+  let url = `${baseUrl}/test`;
+  let body;
+
+  // Compact the input so it fits in a query string and parses identically
+  const input = JSON.stringify(JSON.parse(testCase.input));
+  if (testCase.method === 'GET') {
+    url += `?datastar=${encodeURIComponent(input)}`;
+  } else {
+    headers['Content-Type'] = 'application/json';
+    body = input;
+  }
+
+  const response = await fetch(url, { method: testCase.method, headers, body });
+  const text = await response.text();
+  if (response.status !== 200) {
+    throw new Error(`HTTP ${response.status}: ${text}`);
+  }
+  return text.replace(RETRY_PREAMBLE, '');
+}
+
+/**
+ * Render a case's input with the official SDK, passing the options
+ * testserver.js passes to the plugin
+ * @param {TestCase} testCase - The case
+ * @returns {string} SSE output
+ */
+function renderWithSdk(testCase) {
+  const sdk = new SdkGenerator();
+  const lines = [];
+
+  for (const event of JSON.parse(testCase.input).events) {
+    const options = {};
+    const keys = event.type === 'patchElements'
+      ? ['selector', 'mode', 'useViewTransition', 'viewTransitionSelector', 'namespace']
+      : ['onlyIfMissing'];
+    for (const key of [...keys, 'eventId']) {
+      if (event[key] !== undefined) {
+        options[key] = event[key];
+      }
+    }
+    if (event.retryDuration > 0) {
+      options.retryDuration = event.retryDuration;
+    }
+
+    if (event.type === 'patchElements') {
+      lines.push(...sdk.patchElements(event.elements || '', options));
+    } else if (event.type === 'patchSignals') {
+      const signals = event['signals-raw'] || JSON.stringify(event.signals || {});
+      lines.push(...sdk.patchSignals(signals, options));
+    } else {
+      throw new Error(`No SDK rendering for ${event.type} events`);
+    }
+  }
+  return lines.join('');
+}
+
+/**
+ * Split SSE output into events, each a map from field (`data` lines keyed
+ * by their first word) to its values in order
+ * @param {string} output - SSE output
+ * @returns {Object.<string, string[]>[]}
+ */
+function eventFields(output) {
+  return output.split('\n\n').filter(Boolean).map((block) => {
+    const fields = {};
+    for (const line of block.split('\n')) {
+      const separator = line.indexOf(': ');
+      const name = line.slice(0, separator);
+      const value = line.slice(separator + 2);
+      const key = name === 'data' ? `data ${value.split(' ')[0]}` : name;
+      (fields[key] = fields[key] || []).push(value);
+    }
+    return fields;
+  });
+}
+
+/**
+ * Describe where two outputs differ, line by line, with escapes visible
+ * @param {string} expected - Expected output
+ * @param {string} actual - Actual output
+ * @returns {string}
+ */
+function diff(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const lines = [];
+
+  for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+    if (expectedLines[i] === actualLines[i]) {
+      lines.push(`    ${JSON.stringify(expectedLines[i])}`);
+      continue;
+    }
+    if (expectedLines[i] !== undefined) {
+      lines.push(`  - ${JSON.stringify(expectedLines[i])}`);
+    }
+    if (actualLines[i] !== undefined) {
+      lines.push(`  + ${JSON.stringify(actualLines[i])}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+async function runConformance() {
+  const cases = loadCases(process.argv[2]);
+  if (cases.length === 0) {
+    throw new Error(`No conformance cases found in ${goldenDir}`);
+  }
+
+  console.log('\n=== SDK conformance ===');
+  const failures = [];
+
+  for (const testCase of cases) {
+    try {
+      const reference = renderWithSdk(testCase);
+      if (!isDeepStrictEqual(eventFields(reference), eventFields(testCase.output))) {
+        console.log(`✗ ${testCase.name}: output.txt disagrees with the official SDK (- output.txt, + SDK)\n${diff(testCase.output, reference)}`);
+        failures.push(testCase.name);
+        continue;
+      }
+
+      const actual = await runCase(testCase);
+      if (actual === testCase.output) {
+        console.log(`✓ ${testCase.name}`);
+      } else {
+        console.log(`✗ ${testCase.name} (- expected, + actual)\n${diff(testCase.output, actual)}`);
+        failures.push(testCase.name);
+      }
+    } catch (error) {
+      console.log(`✗ ${testCase.name}: ${error.message}`);
+      failures.push(testCase.name);
+    }
+  }
+
+  console.log(`\n${cases.length - failures.length}/${cases.length} conformance cases passed`);
+  if (failures.length > 0) {
+    throw new Error(`Conformance failures: ${failures.join(', ')}`);
+  }
+}
+
+runConformance().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+import Fastify from 'fastify';
+import { expectAssignable, expectError, expectType } from 'tsd';
+import {
+  datastar,
+  DatastarHub,
+  DatastarMetrics,
+  ServerSentEventGenerator,
+  PatchMode,
+  SignalsErrorCode,
+  ReadSignalsResult,
+  SafeHtml,
+  GetSSE,
+  PostSSE,
+  html,
+  raw,
+  dataOn,
+  dataClass,
+  readSignals,
+} from '..';
+
+const app = Fastify();
+app.register(datastar, { compression: true, replay: { maxSize: 50 }, backpressure: { policy: 'coalesce', maxBufferedBytes: 8 * 1024 * 1024 } });
+expectError(app.register(datastar, { batch: 'yes' }));
+app.register(datastar, { clientErrors: { render: 'toast', mode: 'production' } });
+app.register(datastar, { clientErrors: { render: (sse, info) => sse.patchSignals({ failure: info.message }) } });
+expectError(app.register(datastar, { clientErrors: { render: 'modal' } }));
+app.register(datastar, {
+  fallback: {
+    page: (view) => html`<body>${raw(view.html)}</body>`,
+    json: (view) => ({ count: view.signals.count, redirect: view.redirect }),
+  },
+});
+app.register(datastar, { shutdown: { gracePeriod: 1000, retryDuration: 250, finalEvent: { reconnecting: true } } });
+app.register(datastar, { shutdown: { finalEvent: (sse) => sse.patchElements('<div id="status">Restarting</div>') } });
+app.register(datastar, { shutdown: false });
+expectError(app.register(datastar, { shutdown: { gracePeriod: '5s' } }));
+app.register(datastar, { metrics: true });
+app.register(datastar, { metrics: { prefix: 'app_datastar_', buckets: [1, 10], route: false } });
+app.register(datastar, { metrics: new DatastarMetrics() });
+expectError(app.register(datastar, { metrics: { route: 42 } }));
+app.register(datastar, { logEvents: { level: 'trace', signals: true, redact: ['password', '*.token'] } });
+expectError(app.register(datastar, { logEvents: { redact: 'password' } }));
+app.register(datastar, { inspector: { path: '/dev/datastar', historySize: 500 } });
+expectError(app.register(datastar, { inspector: '/dev/datastar' }));
+
+expectType<DatastarHub>(app.datastarHub);
+expectType<DatastarMetrics | null>(app.datastarMetrics);
+expectType<string>(new DatastarMetrics().render());
+expectType<string>(app.datastarUrl('todos.toggle', { id: 1 }, { tab: 'all' }));
+expectType<string>(app.datastarAction('post', 'todos.toggle', { id: 1 }, { query: { tab: 'all' }, contentType: 'form' }));
+expectError(app.datastarAction('link', 'todos.toggle'));
+expectType<string>(app.datastarRoutes.resolve('todos.toggle', { id: 1 }));
+expectType<boolean>(app.datastarRoutes.has('todos.toggle'));
+
+interface TodoSignals {
+  newTodoText: string;
+  filter: 'all' | 'active';
+}
+
+app.post('/todos', {
+  config: { signals: { type: 'object' }, signalsErrorPath: 'errors', datastarName: 'todos.create' },
+}, async (request, reply) => {
+  expectType<boolean>(request.isDatastarRequest());
+
+  const result = await request.readSignals<TodoSignals>();
+  expectType<ReadSignalsResult<TodoSignals>>(result);
+  if (result.success) {
+    expectType<TodoSignals>(result.signals);
+    expectType<string>(result.signals.newTodoText);
+  } else {
+    expectAssignable<string>(result.code);
+    expectType<number>(result.statusCode);
+  }
+
+  const untyped = await request.readSignals({ limits: { maxDepth: 4, protoAction: 'remove' } });
+  if (untyped.success) {
+    expectType<unknown>(untyped.signals.anything);
+  }
+
+  await reply.datastar(async (sse) => {
+    expectType<ServerSentEventGenerator>(sse);
+    sse.patchElements('<div id="a"></div>', { selector: '#list', mode: PatchMode.Append });
+    sse.patchElements(html`<li>${'<escaped>'}</li>`);
+    expectError(sse.patchElements('<div></div>', { mode: 'sideways' }));
+    sse.patchSignals({ count: 1 }, { onlyIfMissing: true });
+    await sse.patchSignalsAsync({ count: 2 });
+    sse.patchValidationErrors({ email: 'is required' }, { elements: { idPrefix: 'e-' } });
+    sse.patchValidationErrors(result);
+    sse.redirect('/done', { query: { page: 2 } });
+    expectType<number>(sse.batch(() => 1));
+    await sse.flush();
+  }, { onError: (error) => expectType<Error>(error), batch: true, clientErrors: false });
+
+  await reply.datastar((sse) => sse.patchSignals({ a: 1 }), { fallback: false });
+
+  const stream = reply.datastarStream({ topics: ['todos'], meta: { userId: 1 }, replayKey: 'todos' });
+  expectType<boolean>(stream.isClosed);
+});
+
+app.datastarHub.publish('todos', (sse) => sse.patchSignals({ n: 1 }), { filter: { userId: 1 } });
+app.datastarHub.publish('todos', (sse) => sse.removeSignals('n'), { filter: (meta) => meta.userId === 1 });
+
+expectType<'outer'>(PatchMode.Outer);
+expectType<'PAYLOAD_TOO_LARGE'>(SignalsErrorCode.PayloadTooLarge);
+
+expectType<string>(GetSSE('/api/users/%s', 1));
+expectType<string>(PostSSE('/api/todos', { contentType: 'form', filterSignals: { include: /^todo/ }, query: { page: 2 } }));
+expectError(PostSSE('/api/todos', { contentType: 'xml' }));
+
+expectType<SafeHtml>(html`<p>${raw('<b>trusted</b>')}</p>`);
+expectType<SafeHtml>(dataOn('input', PostSSE('/search'), { debounce: { wait: 300, leading: true } }));
+expectType<SafeHtml>(dataClass({ hidden: '!$open' }));
+expectError(dataOn('click', '$x++', { debounc: 300 }));
+
+declare const request: import('fastify').FastifyRequest;
+expectType<Promise<ReadSignalsResult<{ id: number }>>>(readSignals<{ id: number }>(request));
@@ -0,0 +1,35 @@
+import Fastify from 'fastify';
+import { expectError, expectType } from 'tsd';
+import {
+  parseSSE,
+  parseEvents,
+  getPatchedSignals,
+  expectPatchedSignals,
+  expectElement,
+  ParsedEvent,
+  ParsedPatchElements,
+  SSEMessage,
+} from '../lib/testing';
+
+const app = Fastify();
+
+(async () => {
+  const res = await app.inject({ method: 'POST', url: '/todos', headers: { 'datastar-request': 'true' } });
+
+  expectType<ParsedEvent[]>(parseEvents(res));
+  expectType<SSEMessage[]>(parseSSE('event: x\ndata: y\n\n'));
+  expectType<Record<string, unknown>>(getPatchedSignals(res));
+  expectType<Record<string, unknown>>(expectPatchedSignals(res, { newTodoText: '' }, 'cleared the input'));
+  expectType<ParsedPatchElements>(expectElement(res, '#todo-list'));
+  expectError(parseEvents(42));
+
+  for (const event of parseEvents(res)) {
+    if (event.type === 'patchSignals') {
+      expectType<Record<string, unknown>>(event.signals);
+    } else if (event.type === 'patchElements') {
+      expectType<string>(event.elements);
+    } else {
+      expectType<string[]>(event.data);
+    }
+  }
+})();
@@ -0,0 +1,1698 @@
+/**
+ * Behaviour tests for the plugin's features
+ *
+ * Each test builds its own Fastify app, drives it with fastify.inject() (or
+ * a real connection where the feature depends on the socket, such as
+ * heartbeats and slow clients) and checks the SSE output with the parser in
+ * lib/testing.js.
+ *
+ * Run with: node test-features.js [name filter]
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const Fastify = require('fastify');
+const {
+  datastar,
+  ClusterAdapter,
+  MemoryAdapter,
+  html,
+  raw,
+  dataAttr,
+  dataBind,
+  dataClass,
+  dataComputed,
+  dataOn,
+  dataSignals,
+  dataStyle,
+  GetSSE,
+  PostSSE,
+} = require('./lib/index');
+const { parseSSE, parseEvents, getPatchedSignals, expectPatchedSignals, expectElement } = require('./lib/testing');
+
+/** Headers of a request sent by a Datastar action */
+const DATASTAR_HEADERS = { 'datastar-request': 'true' };
+
+/**
+ * @typedef {Object} FeatureTest
+ * @property {string} name - Test name
+ * @property {() => Promise<void>} fn - Test body; throws on failure
+ */
+
+/** @type {FeatureTest[]} */
+const tests = [];
+
+/**
+ * Register a test
+ * @param {string} name - Test name
+ * @param {() => Promise<void>} fn - Test body
+ */
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Build an app with the plugin registered
+ * @param {Object} options - Plugin options
+ * @param {(app: import('fastify').FastifyInstance) => void} routes - Registers the test's routes
+ * @returns {import('fastify').FastifyInstance}
+ */
+function createApp(options, routes) {
+  const app = Fastify();
+  app.register(datastar, options);
+  app.register(async (instance) => routes(instance));
+  return app;
+}
+
+/**
+ * Build an app with the plugin registered, run a test against it and close it
+ * @param {Object} options - Plugin options
+ * @param {(app: import('fastify').FastifyInstance) => void} routes - Registers the test's routes
+ * @param {(app: import('fastify').FastifyInstance) => Promise<void>} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withApp(options, routes, fn) {
+  const app = createApp(options, routes);
+  try {
+    await app.ready();
+    await fn(app);
+  } finally {
+    await app.close();
+  }
+}
+
+/**
+ * Start listening on a free local port
+ * @param {import('fastify').FastifyInstance} app - The app
+ * @returns {Promise<string>} Base URL
+ */
+async function listen(app) {
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  return `http://127.0.0.1:${app.server.address().port}`;
+}
+
+/**
+ * Open a request over a real connection
+ * @param {string} url - URL
+ * @param {http.OutgoingHttpHeaders} [headers] - Request headers
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function request(url, headers = DATASTAR_HEADERS) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, resolve).on('error', reject);
+  });
+}
+
+/**
+ * @typedef {Object} Collector
+ * @property {string} text - Everything read so far
+ * @property {boolean} ended - Whether the stream has ended
+ * @property {(done: (text: string) => boolean, timeout?: number) => Promise<string>} waitFor - Wait until the text read satisfies a condition (2 s timeout by default)
+ */
+
+/**
+ * Collect the text of a stream as it arrives
+ * @param {import('stream').Readable} stream - Stream to read
+ * @returns {Collector}
+ */
+function collect(stream) {
+  const waiters = new Set();
+  const collector = {
+    text: '',
+    ended: false,
+    waitFor(done, timeout = 2000) {
+      if (done(collector.text)) {
+        return Promise.resolve(collector.text);
+      }
+      return new Promise((resolve, reject) => {
+        const waiter = () => {
+          if (done(collector.text)) {
+            settle(null);
+          } else if (collector.ended) {
+            settle(new Error(`Stream ended before the condition was met: ${JSON.stringify(collector.text)}`));
+          }
+        };
+        const settle = (error) => {
+          clearTimeout(timer);
+          waiters.delete(waiter);
+          if (error) {
+            reject(error);
+          } else {
+            resolve(collector.text);
+          }
+        };
+        const timer = setTimeout(() => {
+          settle(new Error(`Timed out waiting for the stream: ${JSON.stringify(collector.text)}`));
+        }, timeout);
+        waiters.add(waiter);
+      });
+    },
+  };
+
+  const notify = () => {
+    for (const waiter of [...waiters]) {
+      waiter();
+    }
+  };
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    collector.text += chunk;
+    notify();
+  });
+  stream.on('end', () => {
+    collector.ended = true;
+    notify();
+  });
+  return collector;
+}
+
+/**
+ * Poll until a condition holds
+ * @param {() => boolean} condition - Condition
+ * @param {number} [timeout=2000] - Give up after this many ms
+ * @returns {Promise<void>}
+ */
+async function waitUntil(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for a condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// --- Compression -----------------------------------------------------------
+
+test('compression: negotiates gzip and compresses the stream', async () => {
+  await withApp({ compression: true }, (app) => {
+    app.get('/feed', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.patchSignals({ count: 1 });
+        sse.patchElements('<div id="feed">Hello</div>');
+      });
+    });
+  }, async (app) => {
+    const res = await app.inject({
+      url: '/feed',
+      headers: { ...DATASTAR_HEADERS, 'accept-encoding': 'gzip' },
+    });
+    assert.strictEqual(res.headers['content-encoding'], 'gzip');
+    assert.strictEqual(res.headers.vary, 'Accept-Encoding');
+
+    const events = parseEvents(zlib.gunzipSync(res.rawPayload).toString());
+    assert.deepStrictEqual(events.map((event) => event.type), ['patchSignals', 'patchElements']);
+    assert.deepStrictEqual(events[0].signals, { count: 1 });
+  });
+});
+
+test('compression: sends identity when the client accepts no supported encoding', async () => {
+  await withApp({ compression: true }, (app) => {
+    app.get('/feed', async (req, reply) => {
+      await reply.datastar((sse) => sse.patchSignals({ count: 1 }));
+    });
+  }, async (app) => {
+    const res = await app.inject({ url: '/feed', headers: { ...DATASTAR_HEADERS, 'accept-encoding': 'identity' } });
+    assert.strictEqual(res.headers['content-encoding'], undefined);
+    assert.deepStrictEqual(parseEvents(res)[0].signals, { count: 1 });
+  });
+});
+
+test('compression: every event is flushed as it is sent', async () => {
+  let stream;
+  await withApp({ compression: true }, (app) => {
+    app.get('/live', (req, reply) => {
+      stream = reply.datastarStream();
+      stream.patchSignals({ tick: 1 });
+    });
+  }, async (app) => {
+    const res = await request(`${await listen(app)}/live`, { ...DATASTAR_HEADERS, 'accept-encoding': 'gzip' });
+    assert.strictEqual(res.headers['content-encoding'], 'gzip');
+
+    // The stream stays open: the event must arrive without waiting for the end
+    const text = await collect(res.pipe(zlib.createGunzip())).waitFor((body) => body.includes('"tick":1'));
+    assert.deepStrictEqual(parseEvents(text)[0].signals, { tick: 1 });
+    stream.close();
+  });
+});
+
+// --- Broadcast hub ---------------------------------------------------------
+
+test('hub: publishes to a topic\'s streams, filtered by connection meta', async () => {
+  await withApp({}, (app) => {
+    app.get('/feed', (req, reply) => {
+      reply.datastarStream({ topics: ['todos'], meta: { userId: Number(req.query.user) } });
+    });
+  }, async (app) => {
+    const base = await listen(app);
+    const alice = collect(await request(`${base}/feed?user=1`));
+    const bob = collect(await request(`${base}/feed?user=2`));
+    const hub = app.datastarHub;
+    assert.strictEqual(hub.size('todos'), 2);
+
+    assert.strictEqual(hub.publish('todos', (sse) => sse.patchSignals({ all: 1 })), 2);
+    assert.strictEqual(hub.publish('todos', (sse) => sse.patchSignals({ mine: 1 }), { filter: { userId: 1 } }), 1);
+    assert.strictEqual(hub.publish('todos', (sse) => sse.patchSignals({ all: 2 })), 2);
+    assert.strictEqual(hub.publish('other', (sse) => sse.patchSignals({ other: 1 })), 0);
+
+    await alice.waitFor((text) => text.includes('"all":2'));
+    await bob.waitFor((text) => text.includes('"all":2'));
+    assert.deepStrictEqual(getPatchedSignals(alice.text), { all: 2, mine: 1 });
+    assert.deepStrictEqual(getPatchedSignals(bob.text), { all: 2 });
+  });
+});
+
+test('hub: streams leave the hub when the client disconnects', async () => {
+  await withApp({}, (app) => {
+    app.get('/feed', (req, reply) => {
+      reply.datastarStream({ topics: ['todos'] });
+    });
+  }, async (app) => {
+    const base = await listen(app);
+    const first = await request(`${base}/feed`);
+    await request(`${base}/feed`);
+    assert.strictEqual(app.datastarHub.size('todos'), 2);
+
+    first.destroy();
+    await waitUntil(() => app.datastarHub.size('todos') === 1);
+    assert.strictEqual(app.datastarHub.publish('todos', (sse) => sse.patchSignals({ ok: true })), 1);
+  });
+});
+
+// --- Hub adapters ----------------------------------------------------------
+
+/**
+ * Routes of a worker in the adapter tests: a feed joining the 'todos' topic
+ * @param {import('fastify').FastifyInstance} app - The app
+ */
+function todoFeed(app) {
+  app.get('/feed', (req, reply) => {
+    reply.datastarStream({ topics: ['todos'], meta: { userId: Number(req.query.user) } });
+  });
+}
+
+test('adapters: publishes reach streams connected to another app', async () => {
+  const adapter = new MemoryAdapter();
+  const publisher = createApp({ hubAdapter: adapter }, todoFeed);
+  const worker = createApp({ hubAdapter: adapter }, todoFeed);
+  try {
+    const client = collect(await request(`${await listen(worker)}/feed?user=1`));
+    await publisher.ready();
+
+    // Object filters travel with the message; predicate filters stay local
+    publisher.datastarHub.publish('todos', (sse) => sse.patchSignals({ local: 1 }), { filter: () => true });
+    publisher.datastarHub.publish('todos', (sse) => sse.patchSignals({ other: 1 }), { filter: { userId: 2 } });
+    publisher.datastarHub.publish('todos', (sse) => sse.patchSignals({ mine: 1 }), { filter: { userId: 1 } });
+
+    await client.waitFor((text) => text.includes('"mine":1'));
+    assert.deepStrictEqual(getPatchedSignals(client.text), { mine: 1 });
+  } finally {
+    await Promise.all([publisher.close(), worker.close()]);
+  }
+});
+
+test('adapters: a failing adapter is logged and local delivery continues', async () => {
+  const adapter = {
+    publish() {
+      throw new Error('broker down');
+    },
+    subscribe() {},
+  };
+  await withApp({ hubAdapter: adapter }, todoFeed, async (app) => {
+    const errors = [];
+    app.log.error = (obj, msg) => errors.push({ obj, msg });
+
+    const client = collect(await request(`${await listen(app)}/feed?user=1`));
+    assert.strictEqual(app.datastarHub.publish('todos', (sse) => sse.patchSignals({ ok: true })), 1);
+    await client.waitFor((text) => text.includes('"ok":true'));
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].obj.err.message, 'broker down');
+  });
+});
+
+/**
+ * Stand-ins for node:cluster and the IPC channel of its workers: a worker's
+ * process.send() reaches the cluster's 'message' event, and worker.send()
+ * emits 'message' on that worker's process
+ * @param {number} count - Number of workers
+ * @returns {{ cluster: EventEmitter, processes: EventEmitter[], workers: Object[] }}
+ */
+function fakeCluster(count) {
+  const cluster = Object.assign(new EventEmitter(), { workers: {} });
+  const processes = [];
+  const workers = [];
+  for (let id = 1; id <= count; id++) {
+    const child = new EventEmitter();
+    const worker = {
+      connected: true,
+      isConnected() {
+        return this.connected;
+      },
+      send: (data) => child.emit('message', data),
+    };
+    child.send = (data) => cluster.emit('message', worker, data);
+    cluster.workers[id] = worker;
+    processes.push(child);
+    workers.push(worker);
+  }
+  return { cluster, processes, workers };
+}
+
+test('adapters: the cluster primary relays a worker\'s publish to every worker on its channel', async () => {
+  const { cluster, processes, workers } = fakeCluster(3);
+  const stopRelay = ClusterAdapter.setupPrimary({ cluster });
+  const received = processes.map(() => []);
+  processes.forEach((child, i) => {
+    new ClusterAdapter({ process: child }).subscribe((message) => received[i].push(message.topic));
+  });
+  const other = [];
+  new ClusterAdapter({ process: processes[1], channel: 'other' }).subscribe((message) => other.push(message.topic));
+
+  workers[2].connected = false;
+  new ClusterAdapter({ process: processes[0] }).publish({ origin: 'a', topic: 'todos', events: [] });
+  // Messages on other channels are neither relayed nor handled
+  processes[0].send({ channel: 'unrelated', message: { topic: 'x' } });
+  processes[1].emit('message', { channel: 'unrelated', message: { topic: 'x' } });
+  assert.deepStrictEqual(received, [['todos'], ['todos'], []]);
+  assert.deepStrictEqual(other, []);
+
+  stopRelay();
+  new ClusterAdapter({ process: processes[0] }).publish({ origin: 'a', topic: 'late', events: [] });
+  assert.deepStrictEqual(received, [['todos'], ['todos'], []]);
+  assert.strictEqual(cluster.listenerCount('message'), 0);
+
+  assert.throws(() => new ClusterAdapter({ process: new EventEmitter() }).publish({}), /requires an IPC channel/);
+});
+
+test('adapters: ClusterAdapter keeps a listener per handler and close() detaches them all', async () => {
+  const child = new EventEmitter();
+  const adapter = new ClusterAdapter({ process: child });
+  const first = [];
+  const second = [];
+  const onFirst = (message) => first.push(message.topic);
+  adapter.subscribe(onFirst);
+  adapter.subscribe(onFirst);
+  adapter.subscribe((message) => second.push(message.topic));
+  assert.strictEqual(child.listenerCount('message'), 2);
+
+  child.emit('message', { channel: 'datastar:hub', message: { topic: 'a' } });
+  adapter.unsubscribe(onFirst);
+  child.emit('message', { channel: 'datastar:hub', message: { topic: 'b' } });
+  assert.deepStrictEqual([first, second], [['a'], ['a', 'b']]);
+
+  adapter.close();
+  assert.strictEqual(child.listenerCount('message'), 0);
+
+  // The plugin's hub subscribes when the app starts and detaches when it closes
+  const app = createApp({ hubAdapter: new ClusterAdapter({ process: child }) }, () => {});
+  await app.ready();
+  assert.strictEqual(child.listenerCount('message'), 1);
+  await app.close();
+  assert.strictEqual(child.listenerCount('message'), 0);
+});
+
+// --- Last-Event-ID replay --------------------------------------------------
+
+/**
+ * Routes of the replay tests: each request to /feed sends the signals given
+ * in its `n` query parameter (comma separated), plus a custom event
+ * @param {import('fastify').FastifyInstance} app - The app
+ */
+function replayFeed(app) {
+  app.get('/feed', async (req, reply) => {
+    await reply.datastar((sse) => {
+      for (const n of String(req.query.n).split(',')) {
+        sse.patchSignals({ n: Number(n) });
+      }
+      sse.sendEvent('custom', { skipped: true });
+    }, { replayKey: 'feed' });
+  });
+}
+
+test('replay: events get increasing ids and missed ones are replayed first', async () => {
+  await withApp({ replay: true }, replayFeed, async (app) => {
+    const first = parseEvents(await app.inject({ url: '/feed?n=1,2,3', headers: DATASTAR_HEADERS }));
+    assert.deepStrictEqual(first.map((event) => event.id), ['1', '2', '3', '4']);
+
+    const resumed = parseEvents(await app.inject({
+      url: '/feed?n=5',
+      headers: { ...DATASTAR_HEADERS, 'last-event-id': '1' },
+    }));
+    // Only patch events are buffered: the custom event (id 4) isn't replayed
+    assert.deepStrictEqual(
+      resumed.map((event) => [event.id, event.type === 'patchSignals' ? event.signals.n : event.event]),
+      [['2', 2], ['3', 3], ['5', 5], ['6', 'custom']]
+    );
+  });
+});
+
+test('replay: the buffer keeps at most maxSize events per key', async () => {
+  await withApp({ replay: { maxSize: 2 } }, replayFeed, async (app) => {
+    await app.inject({ url: '/feed?n=1,2,3', headers: DATASTAR_HEADERS });
+    const resumed = parseEvents(await app.inject({
+      url: '/feed?n=9',
+      headers: { ...DATASTAR_HEADERS, 'last-event-id': '0' },
+    }));
+    assert.deepStrictEqual(resumed.filter((event) => event.type === 'patchSignals').map((event) => event.signals.n), [2, 3, 9]);
+  });
+});
+
+test('replay: replayKey without the replay option throws', async () => {
+  await withApp({}, replayFeed, async (app) => {
+    const res = await app.inject({ url: '/feed?n=1', headers: DATASTAR_HEADERS });
+    assert.strictEqual(res.statusCode, 500);
+    assert.match(res.json().message, /replay option/);
+  });
+});
+
+// --- Heartbeats ------------------------------------------------------------
+
+test('heartbeat: idle streams get ping comments until closed', async () => {
+  let stream;
+  await withApp({ heartbeatInterval: 20 }, (app) => {
+    app.get('/live', (req, reply) => {
+      stream = reply.datastarStream();
+    });
+  }, async (app) => {
+    const client = collect(await request(`${await listen(app)}/live`));
+    await client.waitFor((text) => text.split(': ping\n\n').length > 2);
+
+    stream.close();
+    assert.strictEqual(stream._heartbeatTimer, null);
+    await client.waitFor(() => client.ended);
+    // Comments aren't events
+    assert.deepStrictEqual(parseEvents(client.text), []);
+  });
+});
+
+test('heartbeat: a dead connection is detected by the heartbeat and fires onAbort', async () => {
+  let stream;
+  let aborts = 0;
+  await withApp({}, (app) => {
+    app.get('/live', async (req, reply) => {
+      // reply.datastar doesn't watch the socket itself: only the heartbeat notices
+      await reply.datastar((sse) => {
+        stream = sse;
+      }, { keepAlive: true, heartbeatInterval: 20, onAbort: () => aborts++ });
+    });
+  }, async (app) => {
+    const res = await request(`${await listen(app)}/live`);
+    res.destroy();
+
+    await waitUntil(() => aborts > 0);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.strictEqual(aborts, 1);
+    assert.strictEqual(stream.isClosed, true);
+    assert.strictEqual(stream._heartbeatTimer, null);
+  });
+});
+
+// --- Backpressure ----------------------------------------------------------
+
+/** 64 KiB of elements: a single event fills a socket's write buffer */
+const BIG = 'x'.repeat(64 * 1024);
+
+/**
+ * Open a stream to a client that doesn't read (yet)
+ * @param {Object} streamOptions - datastarStream options
+ * @param {(sse: import('./lib/sse').ServerSentEventGenerator, client: http.IncomingMessage) => Promise<void>} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withSlowClient(streamOptions, fn) {
+  let stream;
+  await withApp({}, (app) => {
+    app.get('/live', (req, reply) => {
+      stream = reply.datastarStream(streamOptions);
+    });
+  }, async (app) => {
+    const client = await request(`${await listen(app)}/live`);
+    client.pause();
+    await fn(stream, client);
+  });
+}
+
+/**
+ * Patch a numbered chart element
+ * @param {import('./lib/sse').ServerSentEventGenerator} sse - Stream
+ * @param {number} n - Patch number
+ */
+function patchChart(sse, n) {
+  sse.patchElements(`<div id="chart" data-n="${n}">${BIG}</div>`, { selector: '#chart' });
+}
+
+/**
+ * Numbers of the chart patches a client received
+ * @param {string} text - SSE text
+ * @returns {number[]}
+ */
+function chartNumbers(text) {
+  return parseEvents(text)
+    .filter((event) => event.type === 'patchElements')
+    .map((event) => Number(/data-n="(\d+)"/.exec(event.elements)[1]));
+}
+
+test('backpressure: block holds events back but disconnects past maxBufferedBytes', async () => {
+  let aborts = 0;
+  const backpressure = { highWaterMark: 64 * 1024, maxBufferedBytes: 256 * 1024 };
+  await withSlowClient({ backpressure, onAbort: () => aborts++ }, async (sse) => {
+    let sent = 0;
+    let maxQueued = 0;
+    while (!sse.isClosed && sent < 1000) {
+      patchChart(sse, sent++);
+      maxQueued = Math.max(maxQueued, sse._queuedBytes);
+    }
+    assert.strictEqual(aborts, 1);
+    assert.ok(sent < 10, `disconnected after ${sent} events`);
+    assert.ok(maxQueued <= 256 * 1024 + BIG.length * 2, `held back ${maxQueued} bytes`);
+  });
+});
+
+test('backpressure: async methods wait for the client, keeping every event in order', async () => {
+  await withSlowClient({ backpressure: { highWaterMark: 64 * 1024 } }, async (sse, client) => {
+    const producer = (async () => {
+      for (let n = 0; n < 20; n++) {
+        await sse.patchElementsAsync(`<div id="chart" data-n="${n}">${BIG}</div>`, { selector: '#chart' });
+        assert.ok(sse._queuedBytes === 0);
+      }
+      sse.close();
+    })();
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const received = collect(client);
+    client.resume();
+    await producer;
+    await received.waitFor(() => received.ended);
+    assert.deepStrictEqual(chartNumbers(received.text), Array.from({ length: 20 }, (_, n) => n));
+  });
+});
+
+test('backpressure: drop-oldest keeps the newest events under the mark', async () => {
+  const highWaterMark = 200 * 1024;
+  await withSlowClient({ backpressure: { highWaterMark, policy: 'drop-oldest' } }, async (sse, client) => {
+    for (let n = 0; n < 50; n++) {
+      patchChart(sse, n);
+      assert.ok(sse._queuedBytes <= highWaterMark);
+    }
+    const received = collect(client);
+    client.resume();
+    await sse.flush();
+    sse.close();
+    await received.waitFor(() => received.ended);
+
+    const numbers = chartNumbers(received.text);
+    assert.strictEqual(numbers[0], 0);
+    assert.strictEqual(numbers[numbers.length - 1], 49);
+    assert.ok(numbers.length < 10, `received ${numbers.length} events`);
+  });
+});
+
+test('backpressure: coalesce replaces held-back patches of the same target, moving them last', async () => {
+  await withSlowClient({ backpressure: { highWaterMark: 16, policy: 'coalesce' } }, async (sse, client) => {
+    // The first event fills the socket buffer; everything after is held back
+    sse.patchElements(`<div id="filler">${BIG}</div>`, { selector: '#log', mode: 'append' });
+    sse.patchElements('<div id="chart">1</div>', { selector: '#chart' });
+    sse.patchElements('<li>a</li>', { selector: '#log', mode: 'append' });
+    sse.patchElements('<div id="chart">2</div>', { selector: '#chart' });
+    sse.patchElements('<li>b</li>', { selector: '#log', mode: 'append' });
+    sse.patchElements('<div id="chart">3</div>', { selector: '#chart' });
+
+    const received = collect(client);
+    client.resume();
+    sse.close();
+    await received.waitFor(() => received.ended);
+    const elements = parseEvents(received.text).slice(1).map((event) => event.elements);
+    assert.deepStrictEqual(elements, ['<li>a</li>', '<li>b</li>', '<div id="chart">3</div>']);
+  });
+});
+
+test('backpressure: disconnect closes the stream at the mark', async () => {
+  let aborts = 0;
+  await withSlowClient({ backpressure: { highWaterMark: 64 * 1024, policy: 'disconnect' }, onAbort: () => aborts++ }, async (sse) => {
+    let sent = 0;
+    while (!sse.isClosed && sent < 1000) {
+      patchChart(sse, sent++);
+    }
+    assert.strictEqual(aborts, 1);
+    assert.ok(sent < 5, `disconnected after ${sent} events`);
+  });
+});
+
+// --- Batching --------------------------------------------------------------
+
+/**
+ * Count the writes made to a reply's connection
+ * @param {import('fastify').FastifyReply} reply - The reply
+ * @returns {{ count: number }}
+ */
+function countWrites(reply) {
+  const writes = { count: 0 };
+  const write = reply.raw.write;
+  reply.raw.write = function (...args) {
+    writes.count++;
+    return write.apply(this, args);
+  };
+  return writes;
+}
+
+test('batch: sse.batch() merges signal patches and writes once', async () => {
+  let writes;
+  await withApp({}, (app) => {
+    app.get('/todos', async (req, reply) => {
+      writes = countWrites(reply);
+      await reply.datastar((sse) => {
+        sse.batch(() => {
+          sse.patchSignals({ newTodoText: '', form: { a: 1 } });
+          sse.patchSignals({ error: '', form: { b: 2 } });
+          sse.patchElements('<li id="todo-1">One</li>', { selector: '#todo-list', mode: 'append' });
+          sse.patchSignals({ count: 1 });
+          sse.patchSignals({ count: 2 }, { onlyIfMissing: true });
+        });
+      });
+    });
+  }, async (app) => {
+    const events = parseEvents(await app.inject({ url: '/todos', headers: DATASTAR_HEADERS }));
+    assert.deepStrictEqual(events.map((event) => event.signals || event.selector), [
+      { newTodoText: '', form: { a: 1, b: 2 }, error: '' },
+      '#todo-list',
+      { count: 1 },
+      { count: 2 },
+    ]);
+    assert.strictEqual(events[3].onlyIfMissing, true);
+    // The retry preamble, then the whole batch
+    assert.strictEqual(writes.count, 2);
+  });
+});
+
+test('batch: the batch option writes each microtask\'s events at once', async () => {
+  let writes;
+  await withApp({ batch: true }, (app) => {
+    app.get('/todos', async (req, reply) => {
+      writes = countWrites(reply);
+      await reply.datastar(async (sse) => {
+        sse.patchSignals({ step: 1 });
+        sse.patchSignals({ step: 2 });
+        await new Promise((resolve) => setImmediate(resolve));
+        sse.patchSignals({ step: 3 });
+      });
+    });
+  }, async (app) => {
+    const events = parseEvents(await app.inject({ url: '/todos', headers: DATASTAR_HEADERS }));
+    assert.deepStrictEqual(events.map((event) => event.signals), [{ step: 2 }, { step: 3 }]);
+    assert.strictEqual(writes.count, 3);
+  });
+});
+
+test('batch: batched patches held back for a slow client still coalesce', async () => {
+  await withSlowClient({ backpressure: { highWaterMark: 16, policy: 'coalesce' } }, async (sse, client) => {
+    sse.patchElements(`<div id="filler">${BIG}</div>`, { selector: '#log', mode: 'append' });
+    sse.batch(() => {
+      sse.patchElements('<div id="chart">1</div>', { selector: '#chart' });
+      sse.patchElements('<li>a</li>', { selector: '#log', mode: 'append' });
+      sse.patchElements('<div id="chart">2</div>', { selector: '#chart' });
+    });
+    sse.batch(() => {
+      sse.patchElements('<li>b</li>', { selector: '#log', mode: 'append' });
+      sse.patchElements('<div id="chart">3</div>', { selector: '#chart' });
+    });
+
+    const received = collect(client);
+    client.resume();
+    sse.close();
+    await received.waitFor(() => received.ended);
+    const elements = parseEvents(received.text).slice(1).map((event) => event.elements);
+    assert.deepStrictEqual(elements, ['<li>a</li>', '<li>b</li>', '<div id="chart">3</div>']);
+  });
+});
+
+// --- Signal schemas --------------------------------------------------------
+
+/** Signals schema of the profile form in the validation tests */
+const PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'email'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    email: { type: 'string', format: 'email' },
+    age: { type: 'integer', default: 18 },
+  },
+};
+
+/**
+ * POST a JSON body as a Datastar action would
+ * @param {import('fastify').FastifyInstance} app - The app
+ * @param {string} url - URL
+ * @param {Object} signals - Signals to send
+ * @returns {Promise<import('light-my-request').Response>}
+ */
+function postSignals(app, url, signals) {
+  return app.inject({ method: 'POST', url, headers: DATASTAR_HEADERS, payload: signals });
+}
+
+test('schema: readSignals validates with coercion and defaults, and reports field errors', async () => {
+  await withApp({}, (app) => {
+    app.post('/profile', { config: { signals: PROFILE_SCHEMA } }, async (req) => req.readSignals());
+  }, async (app) => {
+    const valid = (await postSignals(app, '/profile', { name: 'Ada', email: 'ada@example.com', age: '36' })).json();
+    assert.deepStrictEqual(valid, { success: true, signals: { name: 'Ada', email: 'ada@example.com', age: 36 } });
+
+    const defaulted = (await postSignals(app, '/profile', { name: 'Ada', email: 'ada@example.com' })).json();
+    assert.strictEqual(defaulted.signals.age, 18);
+
+    const invalid = (await postSignals(app, '/profile', { name: 'Ada', email: 'nope' })).json();
+    assert.strictEqual(invalid.success, false);
+    assert.strictEqual(invalid.code, 'VALIDATION_FAILED');
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.deepStrictEqual(invalid.fieldErrors, { email: 'must match format "email"' });
+    assert.deepStrictEqual(invalid.validationErrors, [{ path: 'email', message: 'must match format "email"', keyword: 'format' }]);
+  });
+});
+
+test('schema: signalsErrorPath answers invalid signals and clears fixed fields on resubmit', async () => {
+  let handled = 0;
+  await withApp({}, (app) => {
+    app.post('/profile', { config: { signals: PROFILE_SCHEMA, signalsErrorPath: 'errors' } }, async (req, reply) => {
+      handled++;
+      await reply.datastar((sse) => sse.patchSignals({ saved: true }));
+    });
+  }, async (app) => {
+    // AJV stops at the first error: only the name error is reported
+    const first = await postSignals(app, '/profile', { name: '', email: 'nope' });
+    assert.deepStrictEqual(getPatchedSignals(first), {
+      errors: { name: 'must NOT have fewer than 1 characters', email: '', age: '' },
+    });
+
+    // The name is fixed: its error is cleared and the email error shows
+    const second = await postSignals(app, '/profile', { name: 'Ada', email: 'nope' });
+    assert.deepStrictEqual(getPatchedSignals(second), {
+      errors: { name: '', email: 'must match format "email"', age: '' },
+    });
+    assert.strictEqual(handled, 0);
+
+    const valid = await postSignals(app, '/profile', { name: 'Ada', email: 'ada@example.com' });
+    assert.deepStrictEqual(getPatchedSignals(valid), { saved: true });
+    assert.strictEqual(handled, 1);
+  });
+});
+
+test('schema: the handler reuses the signals the plugin already read', async () => {
+  let bodyReads = 0;
+  let handlerReads;
+  let same;
+  await withApp({}, (app) => {
+    app.addHook('preValidation', async (req) => {
+      const body = req.body;
+      Object.defineProperty(req, 'body', {
+        configurable: true,
+        get() {
+          bodyReads++;
+          return body;
+        },
+      });
+    });
+    app.post('/profile', { config: { signals: PROFILE_SCHEMA } }, async (req) => {
+      const before = bodyReads;
+      const result = await req.readSignals();
+      same = result === await req.readSignals();
+      await req.readSignals({ schema: PROFILE_SCHEMA });
+      handlerReads = bodyReads - before;
+      return result;
+    });
+  }, async (app) => {
+    const res = await postSignals(app, '/profile', { name: 'Ada', email: 'ada@example.com' });
+    assert.strictEqual(res.json().success, true);
+    assert.strictEqual(same, true);
+    // Only the call passing its own schema reads the body again
+    assert.strictEqual(handlerReads, 1);
+  });
+});
+
+// --- Validation errors -----------------------------------------------------
+
+test('validation errors: patches signals and error elements, clearing listed fields', async () => {
+  await withApp({}, (app) => {
+    app.get('/form', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.patchValidationErrors(
+          [{ path: 'user.email', message: 'must be <valid>' }, { path: 'user.email', message: 'second' }],
+          { signalPath: 'form.errors', fields: ['user.name', 'user.email'], elements: true }
+        );
+        sse.clearValidationErrors(['age']);
+      });
+    });
+  }, async (app) => {
+    const res = await app.inject({ url: '/form', headers: DATASTAR_HEADERS });
+    assert.deepStrictEqual(getPatchedSignals(res), {
+      form: { errors: { user: { name: '', email: 'must be <valid>' } } },
+      errors: { age: '' },
+    });
+    const element = expectElement(res, '#err-user-email');
+    assert.strictEqual(element.elements,
+      '<span id="err-user-name" class="field-error"></span>'
+      + '<span id="err-user-email" class="field-error">must be &lt;valid&gt;</span>');
+  });
+});
+
+test('validation errors: client-supplied field paths are escaped and cannot reach prototypes', async () => {
+  await withApp({}, (app) => {
+    app.get('/form', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.patchValidationErrors({
+          '__proto__.polluted': 'x',
+          'constructor.prototype.polluted': 'x',
+          'a"><img src=x onerror=alert(1)>': 'must NOT have additional properties',
+        }, { elements: true });
+      });
+    });
+  }, async (app) => {
+    const res = await app.inject({ url: '/form', headers: DATASTAR_HEADERS });
+    assert.strictEqual({}.polluted, undefined);
+    assert.deepStrictEqual(Object.keys(getPatchedSignals(res).errors), ['a"><img src=x onerror=alert(1)>']);
+
+    const [patch] = parseEvents(res).filter((event) => event.type === 'patchElements');
+    assert.strictEqual(patch.elements,
+      '<span id="err-a&quot;&gt;&lt;img src=x onerror=alert(1)&gt;" class="field-error">'
+      + 'must NOT have additional properties</span>');
+  });
+});
+
+// --- Signal limits ---------------------------------------------------------
+
+/**
+ * Routes of the limit tests: /signals answers with what readSignals returned
+ * @param {import('fastify').FastifyInstance} app - The app
+ */
+function signalsEcho(app) {
+  app.get('/signals', async (req) => req.readSignals());
+  app.post('/signals', async (req) => req.readSignals());
+}
+
+test('limits: oversized, too deep and prototype-polluting signals are rejected', async () => {
+  await withApp({ signalLimits: { maxBytes: 1024, maxDepth: 3, maxKeys: 10 } }, signalsEcho, async (app) => {
+    const big = encodeURIComponent(JSON.stringify({ text: 'x'.repeat(2000) }));
+    const tooLarge = await app.inject({ url: `/signals?datastar=${big}`, headers: DATASTAR_HEADERS });
+    assert.strictEqual(tooLarge.statusCode, 413);
+    assert.strictEqual(tooLarge.json().code, 'PAYLOAD_TOO_LARGE');
+
+    const tooDeep = await postSignals(app, '/signals', { a: { b: { c: { d: 1 } } } });
+    assert.strictEqual(tooDeep.statusCode, 400);
+    assert.strictEqual(tooDeep.json().code, 'LIMIT_EXCEEDED');
+
+    const tooMany = await postSignals(app, '/signals', { list: Array.from({ length: 20 }, (_, i) => i) });
+    assert.strictEqual(tooMany.json().code, 'LIMIT_EXCEEDED');
+
+    // JSON bodies are checked by Fastify's own parser; query payloads by the plugin
+    const polluting = await app.inject({
+      url: `/signals?datastar=${encodeURIComponent('{"user":{"__proto__":{"admin":true}}}')}`,
+      headers: DATASTAR_HEADERS,
+    });
+    assert.strictEqual(polluting.statusCode, 400);
+    assert.strictEqual(polluting.json().code, 'UNSAFE_PAYLOAD');
+    assert.strictEqual({}.admin, undefined);
+  });
+});
+
+test('limits: unsafe keys can be removed instead, and non-Datastar requests get the result', async () => {
+  await withApp({ signalLimits: { protoAction: 'remove', constructorAction: 'remove' } }, signalsEcho, async (app) => {
+    const payload = '{"name":"Ada","__proto__":{"admin":true},"constructor":{"prototype":{"admin":true}}}';
+    const res = await app.inject({ url: `/signals?datastar=${encodeURIComponent(payload)}`, headers: DATASTAR_HEADERS });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.json(), { success: true, signals: { name: 'Ada' } });
+  });
+
+  await withApp({}, signalsEcho, async (app) => {
+    const res = await app.inject({ url: `/signals?datastar=${encodeURIComponent('{"__proto__":{}}')}` });
+    assert.strictEqual(res.statusCode, 200);
+    const result = res.json();
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'UNSAFE_PAYLOAD');
+    assert.strictEqual(result.statusCode, 400);
+  });
+});
+
+// --- Forms -----------------------------------------------------------------
+
+/**
+ * Build a multipart/form-data request body
+ * @param {Array<{ name: string, value: string, filename?: string }>} parts - Fields and files
+ * @returns {{ payload: Buffer, headers: Object }}
+ */
+function multipart(parts) {
+  const boundary = 'datastar-test-boundary';
+  const chunks = parts.map(({ name, value, filename }) => {
+    const disposition = filename
+      ? `form-data; name="${name}"; filename="${filename}"\r\nContent-Type: text/plain`
+      : `form-data; name="${name}"`;
+    return `--${boundary}\r\nContent-Disposition: ${disposition}\r\n\r\n${value}\r\n`;
+  });
+  return {
+    payload: Buffer.from(`${chunks.join('')}--${boundary}--\r\n`),
+    headers: { ...DATASTAR_HEADERS, 'content-type': `multipart/form-data; boundary=${boundary}` },
+  };
+}
+
+/**
+ * Run fn with an app whose uploads go to a fresh directory
+ * @param {Object} forms - The forms option (uploadDir is added)
+ * @param {(app: import('fastify').FastifyInstance) => void} routes - Route registration
+ * @param {(app: import('fastify').FastifyInstance, uploadDir: string) => Promise<void>} fn - Test body
+ */
+async function withUploads(forms, routes, fn) {
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datastar-test-'));
+  try {
+    await withApp({ forms: { ...forms, uploadDir } }, routes, (app) => fn(app, uploadDir));
+  } finally {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  }
+}
+
+test('forms: urlencoded fields become signals, repeated fields arrays', async () => {
+  await withApp({}, signalsEcho, async (app) => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/signals',
+      headers: { ...DATASTAR_HEADERS, 'content-type': 'application/x-www-form-urlencoded' },
+      payload: 'title=Q3+report&tag=a&tag=b',
+    });
+    assert.deepStrictEqual(res.json(), { success: true, signals: { title: 'Q3 report', tag: ['a', 'b'] } });
+  });
+});
+
+test('forms: multipart files are streamed to disk and removed after the response', async () => {
+  let seen;
+  const routes = (app) => {
+    app.post('/upload', {
+      config: { signals: { type: 'object', properties: { title: { type: 'string' } } } },
+    }, async (req) => {
+      const { signals, files } = await req.readSignals();
+      seen = files[0];
+      return { signals, contents: fs.readFileSync(seen.filepath, 'utf8'), onDisk: fs.existsSync(seen.filepath) };
+    });
+  };
+
+  await withUploads({}, routes, async (app, uploadDir) => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/upload',
+      ...multipart([
+        { name: 'title', value: 'Q3' },
+        { name: 'doc', value: 'hello upload', filename: 'q3.txt' },
+      ]),
+    });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.json(), { signals: { title: 'Q3' }, contents: 'hello upload', onDisk: true });
+    assert.strictEqual(seen.filename, 'q3.txt');
+    assert.strictEqual(seen.size, 12);
+    assert.strictEqual(path.dirname(seen.filepath), uploadDir);
+    await waitUntil(() => fs.readdirSync(uploadDir).length === 0);
+  });
+});
+
+test('forms: limits answer 413 and leave no files behind', async () => {
+  const routes = (app) => app.post('/upload', async (req) => req.readSignals());
+
+  await withUploads({ fileSize: 16, files: 1 }, routes, async (app, uploadDir) => {
+    const tooBig = await app.inject({
+      method: 'POST',
+      url: '/upload',
+      ...multipart([
+        { name: 'ok', value: 'small', filename: 'a.txt' },
+        { name: 'big', value: 'x'.repeat(1024), filename: 'b.txt' },
+      ]),
+    });
+    assert.strictEqual(tooBig.statusCode, 413);
+
+    const oversized = await app.inject({
+      method: 'POST',
+      url: '/upload',
+      ...multipart([{ name: 'big', value: 'x'.repeat(1024), filename: 'b.txt' }]),
+    });
+    assert.strictEqual(oversized.statusCode, 413);
+    assert.match(oversized.json().message, /exceeds the file size limit/);
+    assert.deepStrictEqual(fs.readdirSync(uploadDir), []);
+  });
+});
+
+test('forms: an upload aborted mid-file leaves no files behind', async () => {
+  const errors = [];
+  let handled = false;
+  const routes = (app) => {
+    app.setErrorHandler((error, req, reply) => {
+      errors.push(error);
+      reply.send(error);
+    });
+    app.post('/upload', async (req) => {
+      handled = true;
+      return req.readSignals();
+    });
+  };
+
+  await withUploads({}, routes, async (app, uploadDir) => {
+    const { payload, headers } = multipart([{ name: 'doc', value: 'x'.repeat(64 * 1024), filename: 'a.txt' }]);
+    const req = http.request(`${await listen(app)}/upload`, { method: 'POST', headers });
+    req.on('error', () => {});
+    // Send the headers and part of the file, then hang up
+    req.write(payload.subarray(0, 32 * 1024));
+    await waitUntil(() => fs.readdirSync(uploadDir).length === 1);
+    req.destroy();
+
+    await waitUntil(() => errors.length === 1 && fs.readdirSync(uploadDir).length === 0);
+    assert.strictEqual(errors[0].statusCode, 400);
+    assert.strictEqual(handled, false);
+  });
+});
+
+// --- HTML templates --------------------------------------------------------
+
+test('html: interpolations are escaped unless they are templates or raw()', () => {
+  const name = '<img src=x onerror="alert(1)">';
+  const items = [{ text: 'a & b', done: true }, { text: 'c', done: false }];
+  const out = html`<ul title="${name}">${items.map((item) => html`<li>${item.done && html`<s>`}${item.text}</li>`)}${raw('<hr>')}${null}${undefined}${false}${0}</ul>`;
+
+  assert.strictEqual(
+    String(out),
+    '<ul title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;"><li><s>a &amp; b</li><li>c</li><hr>0</ul>'
+  );
+});
+
+test('html: patchElements accepts templates directly', async () => {
+  const routes = (app) => {
+    app.get('/profile', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.patchElements(html`<div id="profile"><h1>${'<script>x</script>'}</h1></div>`);
+      });
+    });
+  };
+
+  await withApp({}, routes, async (app) => {
+    const res = await app.inject({ url: '/profile', headers: DATASTAR_HEADERS });
+    const [event] = parseEvents(res.body);
+    assert.strictEqual(event.type, 'patchElements');
+    assert.strictEqual(event.elements, '<div id="profile"><h1>&lt;script&gt;x&lt;/script&gt;</h1></div>');
+  });
+});
+
+// --- Attribute builders ----------------------------------------------------
+
+test('attributes: builders spell modifiers and escape values', () => {
+  assert.strictEqual(
+    String(html`<input ${dataBind('search')} ${dataOn('input', "@get('/search')", { debounce: { wait: 300, leading: true } })}>`),
+    '<input data-bind="search" data-on:input__debounce.300ms.leading="@get(&#039;/search&#039;)">'
+  );
+  assert.strictEqual(String(dataSignals({ q: '"x"' }, { ifMissing: true })), 'data-signals__ifmissing="{&quot;q&quot;:&quot;\\&quot;x\\&quot;&quot;}"');
+  assert.throws(() => dataOn('click', '$x', { debouncee: 10 }), /Unknown modifier "debouncee"/);
+});
+
+test('attributes: names in the attribute are kebab-cased by every builder', () => {
+  assert.strictEqual(String(dataAttr('ariaLabel', '$label')), 'data-attr:aria-label="$label"');
+  assert.strictEqual(String(dataClass('fontBold', '$x')), 'data-class:font-bold="$x"');
+  assert.strictEqual(String(dataStyle('backgroundColor', '$c')), 'data-style:background-color="$c"');
+  assert.strictEqual(String(dataComputed('fullName', '$a')), 'data-computed:full-name="$a"');
+  assert.strictEqual(String(dataOn('myEvent', '$a', { case: 'camel' })), 'data-on:my-event__case.camel="$a"');
+  assert.strictEqual(String(dataClass({ fontBold: '$x' })), 'data-class="{&quot;fontBold&quot;: $x}"');
+});
+
+test('attributes: names that could break out of the attribute throw', () => {
+  for (const build of [
+    () => dataOn('click onmouseover=alert(1) x', '$a'),
+    () => dataAttr('x"><script>', '$a'),
+    () => dataClass('a b', '$a'),
+    () => dataStyle('color/**/', '$a'),
+    () => dataComputed('a=b', '$a'),
+    () => dataOn('click', '$a', { delay: '1s onclick=x' }),
+  ]) {
+    assert.throws(build, /Invalid attribute name/);
+  }
+});
+
+// --- Action options --------------------------------------------------------
+
+test('actions: options are serialised into the second argument', () => {
+  assert.strictEqual(
+    PostSSE('/api/todos', { contentType: 'form', filterSignals: { include: '^todo\\.', exclude: /secret/i }, retryInterval: 2000 }),
+    "@post('/api/todos', {contentType: 'form', filterSignals: {include: /^todo\\./, exclude: /secret/i}, retryInterval: 2000})"
+  );
+  assert.strictEqual(GetSSE('/feed', { headers: { 'X-Token': 'a\'b' } }), "@get('/feed', {headers: {'X-Token': 'a\\'b'}})");
+});
+
+test('actions: option values cannot break out of a double-quoted attribute', () => {
+  const token = '"><img src=x onerror=alert(1)>&quot;';
+  const action = PostSSE('/save', { headers: { 'X-Token': token }, filterSignals: { include: /"&</ } });
+  assert.doesNotMatch(action, /["&<]/);
+  assert.strictEqual(
+    action,
+    "@post('/save', {headers: {'X-Token': '\\x22>\\u003cimg src=x onerror=alert(1)>\\x26quot;'}, filterSignals: {include: /\\x22\\x26\\x3c/}})"
+  );
+
+  // The attribute holds the action as written and it evaluates back to the original values
+  const attribute = `<button data-on:click="${action}">`;
+  const value = attribute.slice(attribute.indexOf('"') + 1, attribute.lastIndexOf('"'));
+  assert.strictEqual(value, action);
+  const options = new Function(`return ${action.slice("@post('/save', ".length, -1)}`)();
+  assert.strictEqual(options.headers['X-Token'], token);
+  assert.ok(options.filterSignals.include.test('"&<'));
+});
+
+// --- URLs and redirects ----------------------------------------------------
+
+test('urls: substituted arguments are URI-encoded and queries appended', () => {
+  assert.strictEqual(GetSSE('/api/users/%s/posts', "o'brien/../admin"), "@get('/api/users/o\\'brien%2F..%2Fadmin/posts')");
+  // `&` is written as \x26, which the action evaluates back to `&`
+  assert.strictEqual(
+    GetSSE('/api/users#top', { query: { page: 2, tag: ['a b', 'c&d'], skip: null } }),
+    "@get('/api/users?page=2\\x26tag=a+b\\x26tag=c%26d#top')"
+  );
+  assert.strictEqual(
+    PostSSE('/search?sort=asc', { query: { q: "'); alert(1); ('" } }),
+    "@post('/search?sort=asc\\x26q=%27%29%3B+alert%281%29%3B+%28%27')"
+  );
+});
+
+test('urls: redirects and URL replacement emit escaped scripts', async () => {
+  const routes = (app) => {
+    app.get('/go', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.redirectf('/users/%s', '"><script>');
+        sse.redirect('/search', { query: { q: "it's" } });
+        sse.replaceUrl("/page'2");
+      });
+    });
+  };
+
+  await withApp({}, routes, async (app) => {
+    const res = await app.inject({ url: '/go', headers: DATASTAR_HEADERS });
+    const scripts = parseEvents(res.body).map((event) => event.elements);
+    assert.strictEqual(scripts.length, 3);
+    assert.match(scripts[0], /setTimeout\(\(\) => window\.location = '\/users\/%22%3E%3Cscript%3E'\)/);
+    assert.match(scripts[1], /window\.location = '\/search\?q=it%27s'/);
+    assert.match(scripts[2], /history\.replaceState\(\{\}, '', '\/page\\'2'\)/);
+  });
+});
+
+// --- Named routes ----------------------------------------------------------
+
+/**
+ * Routes of the named-route tests, under an optional prefix
+ * @param {string} [prefix=''] - Route prefix
+ * @returns {(app: import('fastify').FastifyInstance) => void}
+ */
+function namedTodos(prefix = '') {
+  return (app) => {
+    app.register(async (api) => {
+      api.post('/todos/:id/toggle', { config: { datastarName: 'todos.toggle' } }, async () => 'ok');
+    }, { prefix });
+  };
+}
+
+test('routes: names resolve to URLs and actions, and unknown names throw', async () => {
+  await withApp({}, namedTodos(), async (app) => {
+    assert.strictEqual(app.datastarUrl('todos.toggle', { id: 'a/b' }), '/todos/a%2Fb/toggle');
+    assert.strictEqual(app.datastarUrl('todos.toggle', { id: 7 }, { tab: 'all' }), '/todos/7/toggle?tab=all');
+    assert.strictEqual(app.datastarAction('post', 'todos.toggle', { id: 7 }), "@post('/todos/7/toggle')");
+    assert.strictEqual(
+      app.datastarAction('POST', 'todos.toggle', { id: 7 }, { query: { tab: 'all' }, contentType: 'form' }),
+      "@post('/todos/7/toggle?tab=all', {contentType: 'form'})"
+    );
+    assert.throws(() => app.datastarAction('post', 'todos.nonexistent'), /Unknown Datastar route name "todos.nonexistent"/);
+    assert.throws(() => app.datastarAction('post', 'todos.toggle'), /missing param "id"/);
+    assert.throws(() => app.datastarAction('link', 'todos.toggle', { id: 7 }), /Unknown Datastar action method "link"/);
+  });
+});
+
+test('routes: apps running at the same time each resolve their own names', async () => {
+  const routes = (prefix) => (app) => {
+    namedTodos(prefix)(app);
+    app.get('/page', async (req) => req.server.datastarAction('post', 'todos.toggle', { id: 1 }));
+  };
+  await withApp({}, routes('/a'), async (a) => {
+    await withApp({}, routes('/b'), async (b) => {
+      assert.strictEqual((await a.inject({ url: '/page' })).body, "@post('/a/todos/1/toggle')");
+      assert.strictEqual((await b.inject({ url: '/page' })).body, "@post('/b/todos/1/toggle')");
+      assert.strictEqual(a.datastarUrl('todos.toggle', { id: 2 }), '/a/todos/2/toggle');
+      assert.strictEqual(b.datastarRoutes.has('todos.toggle'), true);
+    });
+    assert.strictEqual(a.datastarAction('get', 'todos.toggle', { id: 3 }), "@get('/a/todos/3/toggle')");
+  });
+});
+
+// --- Stream errors ---------------------------------------------------------
+
+/**
+ * Routes of the error tests: /boom throws a plain error, /bad a 4xx one
+ * @param {import('fastify').FastifyInstance} app - The app
+ */
+function failingStreams(app) {
+  app.get('/boom', async (req, reply) => {
+    await reply.datastar(() => {
+      throw new Error('database password is hunter2');
+    });
+  });
+  app.get('/bad', async (req, reply) => {
+    await reply.datastar(() => {
+      throw Object.assign(new Error('Title is required'), { statusCode: 422, code: 'TITLE_REQUIRED' });
+    });
+  });
+}
+
+test('errors: by default 5xx details, error codes and stacks stay on the server, whatever NODE_ENV is', async () => {
+  const nodeEnv = process.env.NODE_ENV;
+  delete process.env.NODE_ENV;
+  try {
+    await withApp({}, failingStreams, async (app) => {
+      const boom = await app.inject({ url: '/boom', headers: DATASTAR_HEADERS });
+      assert.deepStrictEqual(getPatchedSignals(boom).datastarError, { message: 'Internal Server Error', statusCode: 500 });
+
+      const bad = await app.inject({ url: '/bad', headers: DATASTAR_HEADERS });
+      // Error codes are internal too
+      assert.deepStrictEqual(getPatchedSignals(bad).datastarError, { message: 'Title is required', statusCode: 422 });
+    });
+  } finally {
+    if (nodeEnv !== undefined) {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  }
+});
+
+test('errors: development mode sends messages, codes and stacks; toasts escape them', async () => {
+  await withApp({ clientErrors: { mode: 'development' } }, failingStreams, async (app) => {
+    const boom = await app.inject({ url: '/boom', headers: DATASTAR_HEADERS });
+    const { datastarError } = getPatchedSignals(boom);
+    assert.strictEqual(datastarError.message, 'database password is hunter2');
+    assert.match(datastarError.stack, /^Error: database password is hunter2\n/);
+
+    const bad = await app.inject({ url: '/bad', headers: DATASTAR_HEADERS });
+    assert.strictEqual(getPatchedSignals(bad).datastarError.code, 'TITLE_REQUIRED');
+  });
+
+  const routes = (app) => {
+    app.get('/xss', async (req, reply) => {
+      await reply.datastar(() => {
+        throw Object.assign(new Error('<img src=x onerror=alert(1)>'), { statusCode: 400 });
+      });
+    });
+  };
+  await withApp({ clientErrors: { render: 'toast' } }, routes, async (app) => {
+    const res = await app.inject({ url: '/xss', headers: DATASTAR_HEADERS });
+    const toast = expectElement(res, 'body');
+    assert.strictEqual(toast.mode, 'append');
+    assert.match(toast.elements, /class="datastar-error" role="alert"/);
+    assert.match(toast.elements, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  });
+});
+
+// --- Non-Datastar fallback -------------------------------------------------
+
+const FALLBACK = {
+  page: (view) => html`<!doctype html><html><body ${dataSignals(view.signals)}>${raw(view.html)}</body></html>`,
+  json: true,
+};
+
+/**
+ * Routes of the fallback tests: /todos patches a list and signals, /login redirects
+ * @param {import('fastify').FastifyInstance} app - The app
+ */
+function fallbackRoutes(app) {
+  app.get('/todos', async (req, reply) => {
+    await reply.datastar((sse) => {
+      sse.patchElements(html`<ul id="todos"><li>${'<b>milk</b>'}</li></ul>`);
+      sse.patchSignals({ count: 1, filter: 'all' });
+      sse.patchSignals({ filter: null, user: { name: 'Ada' } });
+      sse.removeElement('#spinner');
+    });
+  });
+  app.post('/login', async (req, reply) => {
+    await reply.datastar((sse) => sse.redirect('/home', { query: { from: 'login' } }));
+  });
+}
+
+test('fallback: browsers get the page with the patches and signals in the layout', async () => {
+  await withApp({ fallback: FALLBACK }, fallbackRoutes, async (app) => {
+    const res = await app.inject({ url: '/todos', headers: { accept: 'text/html' } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /^text\/html/);
+    assert.match(res.headers.vary, /Accept/);
+    assert.match(res.headers.vary, /Datastar-Request/);
+    assert.strictEqual(
+      res.body,
+      '<!doctype html><html><body data-signals="{&quot;count&quot;:1,&quot;user&quot;:{&quot;name&quot;:&quot;Ada&quot;}}">' +
+        '<ul id="todos"><li>&lt;b&gt;milk&lt;/b&gt;</li></ul></body></html>'
+    );
+
+    const stream = await app.inject({ url: '/todos', headers: DATASTAR_HEADERS });
+    assert.match(stream.headers['content-type'], /^text\/event-stream/);
+  });
+});
+
+test('fallback: API clients get JSON, redirects become a 302', async () => {
+  await withApp({ fallback: FALLBACK }, fallbackRoutes, async (app) => {
+    const res = await app.inject({ url: '/todos', headers: { accept: 'application/json' } });
+    const body = res.json();
+    assert.deepStrictEqual(body.signals, { count: 1, user: { name: 'Ada' } });
+    assert.deepStrictEqual(body.patches.map((patch) => patch.mode), ['outer', 'remove']);
+    assert.strictEqual(body.patches[1].selector, '#spinner');
+
+    const redirect = await app.inject({ method: 'POST', url: '/login', headers: { accept: 'text/html' } });
+    assert.strictEqual(redirect.statusCode, 302);
+    assert.strictEqual(redirect.headers.location, '/home?from=login');
+  });
+
+  await withApp({ fallback: { json: (view) => view.signals } }, fallbackRoutes, async (app) => {
+    const res = await app.inject({ url: '/todos' });
+    assert.deepStrictEqual(res.json(), { count: 1, user: { name: 'Ada' } });
+  });
+});
+
+test('fallback: prototype keys in signal patches are skipped', async () => {
+  const routes = (app) => {
+    app.get('/echo', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.patchSignals('{"__proto__":{"polluted":true},"constructor":{"prototype":{"polluted":true}},"name":"Ada"}');
+        sse.patchSignals(JSON.parse('{"user":{"__proto__":{"polluted":true}}}'));
+      });
+    });
+  };
+  await withApp({ fallback: { json: true } }, routes, async (app) => {
+    const res = await app.inject({ url: '/echo', headers: { accept: 'application/json' } });
+    assert.deepStrictEqual(res.json().signals, { name: 'Ada', user: {} });
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(Object.prototype.hasOwnProperty.call(Object.prototype, 'polluted'), false);
+  });
+});
+
+// --- Graceful shutdown -----------------------------------------------------
+
+test('shutdown: closing the app sends the final event to every open stream and ends it', async () => {
+  const app = createApp({ shutdown: { retryDuration: 250, finalEvent: { reconnecting: true } } }, (instance) => {
+    instance.get('/live', (req, reply) => {
+      reply.datastarStream().patchSignals({ connected: true });
+    });
+  });
+  let clients;
+  try {
+    const base = await listen(app);
+    clients = [collect(await request(`${base}/live`)), collect(await request(`${base}/live`))];
+    await Promise.all(clients.map((client) => client.waitFor((text) => text.includes('connected'))));
+  } finally {
+    await app.close();
+  }
+
+  for (const client of clients) {
+    await client.waitFor(() => client.ended);
+    // The retry goes out on its own, ahead of the final event
+    assert.match(client.text, /\nretry: 250\n\nevent: datastar-patch-signals\ndata: signals \{"reconnecting":true\}\n\n$/);
+    assert.deepStrictEqual(getPatchedSignals(client.text), { connected: true, reconnecting: true });
+  }
+});
+
+test('shutdown: connections still busy after the grace period are destroyed', async () => {
+  let aborts = 0;
+  const app = createApp({ shutdown: { gracePeriod: 50 } }, (instance) => {
+    instance.get('/live', (req, reply) => {
+      const sse = reply.datastarStream({ onAbort: () => aborts++, backpressure: { policy: 'block' } });
+      for (let n = 0; n < 20; n++) {
+        patchChart(sse, n);
+      }
+    });
+  });
+  let client;
+  const started = Date.now();
+  try {
+    client = await request(`${await listen(app)}/live`);
+    client.pause();
+    client.on('error', () => {});
+  } finally {
+    await app.close();
+  }
+  assert.ok(Date.now() - started < 1000, 'close waited for the slow client');
+  await waitUntil(() => aborts === 1);
+  client.destroy();
+});
+
+// --- Metrics ---------------------------------------------------------------
+
+/**
+ * Read one series from the metrics text
+ * @param {string} text - Metrics text
+ * @param {string} series - Series name with labels, as it appears in the text
+ * @returns {number|undefined}
+ */
+function metricValue(text, series) {
+  const line = text.split('\n').find((candidate) => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('metrics: connections, events and bytes are counted per route pattern', async () => {
+  let live;
+  const routes = (app) => {
+    app.get('/todos/:id/feed', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.patchElements('<li id="todo-1">milk</li>');
+        sse.patchSignals({ count: 1 });
+        sse.send('custom-event', ['hello']);
+      });
+    });
+    app.get('/live', (req, reply) => {
+      live = reply.datastarStream();
+      live.patchSignals({ connected: true });
+    });
+  };
+
+  await withApp({ metrics: true }, routes, async (app) => {
+    await app.inject({ url: '/todos/1/feed', headers: DATASTAR_HEADERS });
+    await app.inject({ url: '/todos/2/feed', headers: DATASTAR_HEADERS });
+    const client = collect(await request(`${await listen(app)}/live`));
+    await client.waitFor((text) => text.includes('connected'));
+
+    let text = (await app.inject({ url: '/metrics' })).body;
+    const route = '{route="/todos/:id/feed"}';
+    assert.strictEqual(metricValue(text, `datastar_sse_connections_total${route}`), 2);
+    assert.strictEqual(metricValue(text, `datastar_sse_connections_active${route}`), 0);
+    assert.strictEqual(metricValue(text, 'datastar_sse_connections_active{route="/live"}'), 1);
+    assert.strictEqual(metricValue(text, 'datastar_sse_events_total{route="/todos/:id/feed",type="datastar-patch-elements"}'), 2);
+    assert.strictEqual(metricValue(text, 'datastar_sse_events_total{route="/todos/:id/feed",type="custom"}'), 2);
+    assert.strictEqual(metricValue(text, `datastar_sse_connection_duration_seconds_count${route}`), 2);
+    // Bytes are counted once the connection accepts them, which inject() never reports
+    assert.strictEqual(
+      metricValue(text, 'datastar_sse_bytes_written_total{route="/live"}'),
+      Buffer.byteLength(client.text)
+    );
+
+    live.close();
+    await client.waitFor(() => client.ended);
+    text = app.datastarMetrics.render();
+    assert.strictEqual(metricValue(text, 'datastar_sse_connections_active{route="/live"}'), 0);
+  });
+
+  await withApp({}, routes, async (app) => {
+    assert.strictEqual(app.datastarMetrics, null);
+    assert.strictEqual((await app.inject({ url: '/metrics' })).statusCode, 404);
+  });
+});
+
+test('metrics: only events written to the client are counted', async () => {
+  let live;
+  await withApp({ metrics: true }, (app) => {
+    app.get('/todos', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.batch(() => {
+          sse.patchSignals({ a: 1 });
+          sse.patchSignals({ b: 2 });
+        });
+      });
+    });
+    app.get('/live', (req, reply) => {
+      live = reply.datastarStream({ backpressure: { highWaterMark: 200 * 1024, policy: 'drop-oldest' } });
+    });
+  }, async (app) => {
+    await app.inject({ url: '/todos', headers: DATASTAR_HEADERS });
+
+    const client = await request(`${await listen(app)}/live`);
+    client.pause();
+    for (let n = 0; n < 50; n++) {
+      patchChart(live, n);
+    }
+    const received = collect(client);
+    client.resume();
+    await live.flush();
+    live.close();
+    await received.waitFor(() => received.ended);
+
+    const text = app.datastarMetrics.render();
+    assert.strictEqual(metricValue(text, 'datastar_sse_events_total{route="/todos",type="datastar-patch-signals"}'), 1);
+    const delivered = chartNumbers(received.text).length;
+    assert.ok(delivered < 50, `received ${delivered} events`);
+    assert.strictEqual(metricValue(text, 'datastar_sse_events_total{route="/live",type="datastar-patch-elements"}'), delivered);
+  });
+});
+
+// --- Event logging ---------------------------------------------------------
+
+/**
+ * Send a signal patch from an app logging events at debug level and return
+ * the logged datastarEvent entries
+ * @param {boolean|Object} logEvents - The logEvents option
+ * @returns {Promise<Object[]>}
+ */
+async function loggedSignalEvents(logEvents) {
+  const lines = [];
+  const app = Fastify({ logger: { level: 'debug', stream: { write: (line) => lines.push(JSON.parse(line)) } } });
+  app.register(datastar, { logEvents });
+  app.get('/login', async (req, reply) => {
+    await reply.datastar((sse) => {
+      sse.patchSignals({ email: 'ada@example.com', user: { token: 's3cret', name: 'Ada' } });
+    });
+  });
+  try {
+    await app.inject({ url: '/login', headers: DATASTAR_HEADERS });
+  } finally {
+    await app.close();
+  }
+  return lines.filter((line) => line.datastarEvent).map((line) => line.datastarEvent);
+}
+
+test('logging: signal patches log only their keys by default', async () => {
+  const [event] = await loggedSignalEvents(true);
+  assert.strictEqual(event.type, 'datastar-patch-signals');
+  assert.deepStrictEqual(event.signalKeys, ['email', 'user']);
+  assert.strictEqual(event.signals, undefined);
+  assert.ok(event.bytes > 0);
+
+  const [withRedact] = await loggedSignalEvents({ redact: ['user.token'] });
+  assert.strictEqual(withRedact.signals, undefined);
+});
+
+test('logging: signal values are logged on opt-in, after redaction', async () => {
+  const [event] = await loggedSignalEvents({ signals: true, redact: ['email', '*.token'] });
+  assert.deepStrictEqual(event.signals, { email: '[Redacted]', user: { token: '[Redacted]', name: 'Ada' } });
+
+  assert.deepStrictEqual(await loggedSignalEvents({ level: 'trace' }), []);
+});
+
+// --- Inspector -------------------------------------------------------------
+
+/**
+ * Run fn with NODE_ENV set (or unset), restoring it afterwards
+ * @param {string|undefined} value - NODE_ENV value; undefined unsets it
+ * @param {() => Promise<void>} fn - Test body
+ */
+async function withNodeEnv(value, fn) {
+  const previous = process.env.NODE_ENV;
+  if (value === undefined) {
+    delete process.env.NODE_ENV;
+  } else {
+    process.env.NODE_ENV = value;
+  }
+  try {
+    await fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.NODE_ENV;
+    } else {
+      process.env.NODE_ENV = previous;
+    }
+  }
+}
+
+test('inspector: only served when NODE_ENV is development', async () => {
+  for (const nodeEnv of [undefined, 'production', 'test']) {
+    await withNodeEnv(nodeEnv, () => withApp({ inspector: true }, () => {}, async (app) => {
+      assert.strictEqual((await app.inject({ url: '/_datastar/inspector' })).statusCode, 404, `NODE_ENV=${nodeEnv}`);
+      assert.strictEqual((await app.inject({ method: 'POST', url: '/_datastar/inspector/replay' })).statusCode, 404);
+    }));
+  }
+});
+
+test('inspector: lists streams and replays a captured event to its stream', async () => {
+  let live;
+  const routes = (app) => {
+    app.get('/live', (req, reply) => {
+      live = reply.datastarStream();
+      live.patchSignals({ count: 1 });
+    });
+  };
+
+  await withNodeEnv('development', () => withApp({ inspector: { scriptUrl: '/datastar.js' } }, routes, async (app) => {
+    const client = collect(await request(`${await listen(app)}/live`));
+    await client.waitFor((text) => text.includes('count'));
+
+    const page = await app.inject({ url: '/_datastar/inspector' });
+    assert.strictEqual(page.statusCode, 200);
+    assert.match(page.body, /<script type="module" src="\/datastar.js"><\/script>/);
+
+    const replay = await postSignals(app, '/_datastar/inspector/replay', { replayEvent: 1 });
+    assert.deepStrictEqual(getPatchedSignals(replay), { status: 'Replayed event 1 to stream #1' });
+    await client.waitFor((text) => text.split('{"count":1}').length === 3);
+
+    live.close();
+  }));
+});
+
+// --- Testing helpers -------------------------------------------------------
+
+test('testing: parses events and asserts on what a route patched', async () => {
+  await withApp({}, (app) => {
+    app.get('/todos', async (req, reply) => {
+      await reply.datastar((sse) => {
+        sse.patchElements('<li id="todo-1">milk</li>', { selector: '#list', mode: 'append', eventId: 'a1' });
+        sse.patchSignals({ count: 1, user: { name: 'Ada' } });
+        sse.patchSignals({ user: { name: 'Bob', role: 'admin' } }, { onlyIfMissing: true });
+      });
+    });
+  }, async (app) => {
+    const res = await app.inject({ url: '/todos', headers: DATASTAR_HEADERS });
+    // The retry preamble is a message without data, so it isn't an event
+    assert.strictEqual(parseSSE(res).length, 4);
+    const [patch, ...signals] = parseEvents(res);
+    assert.deepStrictEqual(patch, {
+      type: 'patchElements',
+      event: 'datastar-patch-elements',
+      id: 'a1',
+      selector: '#list',
+      mode: 'append',
+      elements: '<li id="todo-1">milk</li>',
+    });
+    assert.strictEqual(signals[1].onlyIfMissing, true);
+
+    assert.deepStrictEqual(expectPatchedSignals(res, { user: { role: 'admin' } }), {
+      count: 1,
+      user: { name: 'Ada', role: 'admin' },
+    });
+    assert.throws(() => expectPatchedSignals(res, { count: 2 }), assert.AssertionError);
+    assert.deepStrictEqual(expectElement(res, '#todo-1'), patch);
+    assert.throws(() => expectElement(res, '#missing'), /Expected an element patch for #missing; patched: #list/);
+  });
+});
+
+async function runFeatureTests() {
+  const filter = process.argv[2];
+  const selected = tests.filter((candidate) => !filter || candidate.name.includes(filter));
+
+  console.log('\n=== Feature tests ===');
+  const failures = [];
+
+  for (const { name, fn } of selected) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      console.log(`✗ ${name}\n  ${error.stack}`);
+      failures.push(name);
+    }
+  }
+
+  console.log(`\n${selected.length - failures.length}/${selected.length} feature tests passed`);
+  if (failures.length > 0) {
+    throw new Error(`Feature test failures: ${failures.join(', ')}`);
+  }
+}
+
+runFeatureTests().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
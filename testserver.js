@@ -31,6 +31,8 @@ app.register(datastar);
  * @property {string} [selector] - CSS selector for target
  * @property {string} [mode] - Patch mode (outer, inner, prepend, append, before, after, replace, remove)
  * @property {boolean} [useViewTransition] - Whether to use View Transition API
+ * @property {string} [viewTransitionSelector] - Element the View Transition is scoped to
+ * @property {string} [namespace] - Namespace of new elements (html, svg, mathml)
  *
  * PatchSignals fields
  * @property {Object} [signals] - Signals object
@@ -73,6 +75,14 @@ function handlePatchElements(sse, event) {
     options.useViewTransition = event.useViewTransition;
   }
 
+  if (event.viewTransitionSelector) {
+    options.viewTransitionSelector = event.viewTransitionSelector;
+  }
+
+  if (event.namespace) {
+    options.namespace = event.namespace;
+  }
+
   if (event.eventId) {
     options.eventId = event.eventId;
   }
@@ -152,9 +162,12 @@ function handleExecuteScript(sse, event) {
 }
 
 /**
- * Main test handler endpoint
+ * Main test handler (GET reads the events from the `datastar` query
+ * parameter, POST from the JSON body)
+ * @param {import('fastify').FastifyRequest} request
+ * @param {import('fastify').FastifyReply} reply
  */
-app.post('/test', async (request, reply) => {
+async function handleTest(request, reply) {
   try {
     // Parse the incoming request
     const result = await request.readSignals();
@@ -204,7 +217,10 @@ app.post('/test', async (request, reply) => {
       error: error instanceof Error ? error.message : 'Internal server error'
     });
   }
-});
+}
+
+app.get('/test', handleTest);
+app.post('/test', handleTest);
 
 // Start the server
 const port = process.env.TEST_PORT || 7331;